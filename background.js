@@ -1,10 +1,46 @@
 const CACHE_KEY = "githubDisplayNameCache";
-let nameLocks = {};  // key: origin+username, value: true if a fetch is in progress
+const TOKENS_KEY = "githubApiTokens"; // origin => personal access token (set on the options page)
+const SETTINGS_KEY = "githubUnveilerSettings"; // user preferences from the options page
+const AUTH_STATE_KEY = "githubAuthState"; // origin => { reason, since, probeLogin } while sign-in is required
+let nameLocks = {};  // key: origin+username, value: lease for the lookup in progress (see acquireLock, restoreNameLocks)
 let cacheLock = Promise.resolve();
-const SEVEN_DAYS = 7 * 24 * 60 * 60 * 1000;
-const MAX_CACHE_ENTRIES_PER_ORIGIN = 1000; // Soft cap to prevent unbounded growth
+const ONE_DAY = 24 * 60 * 60 * 1000;
+const SEVEN_DAYS = 7 * ONE_DAY;
+const REFRESH_WINDOW = ONE_DAY; // Entries this close to expiry are refreshed in the background
+const STALE_GRACE_PERIOD = SEVEN_DAYS; // Expired entries are still shown (and refreshed) this long before deletion
 
-// Clear cache: remove entries older than 7 days.
+// Every cache entry records how its lookup ended. Each outcome has its own TTL: real answers
+// live for days, failures are retried much sooner.
+const OUTCOME_TTLS = {
+  "resolved": SEVEN_DAYS,         // The profile has a name
+  "no-name": 3 * ONE_DAY,         // The user exists but has not set a name
+  "not-found": ONE_DAY,           // No such user (deleted, renamed, or an organization)
+  "auth-required": 60 * 60 * 1000, // Token rejected or sign-in needed
+  "rate-limited": 5 * 60 * 1000,  // GitHub asked us to slow down
+  "network-error": 10 * 60 * 1000, // Anything else: offline, 5xx, unparseable response
+};
+// Outcomes that hold a real answer. These are served even when stale, and are never
+// overwritten by a transient failure.
+const POSITIVE_OUTCOMES = ["resolved", "no-name"];
+const TRANSIENT_OUTCOMES = ["auth-required", "rate-limited", "network-error"];
+
+// Entries written before outcomes were recorded are resolved names.
+function getEntryOutcome(entry) {
+  return entry.outcome || "resolved";
+}
+
+function isPositiveOutcome(outcome) {
+  return POSITIVE_OUTCOMES.includes(outcome);
+}
+
+function getEntryTtl(entry) {
+  return OUTCOME_TTLS[getEntryOutcome(entry)] || SEVEN_DAYS;
+}
+const MAX_CACHE_ENTRIES_PER_ORIGIN = 1000; // Soft cap to prevent unbounded growth; imported org members don't count
+
+// Clear cache: remove failed lookups once their retry TTL is up, and names that expired and then
+// went unrefreshed for the grace period. Until then an expired name keeps being shown while
+// resolveNames refreshes it.
 async function clearOldCacheEntries() {
   const now = Date.now();
   const cache = await getCache();
@@ -13,7 +49,8 @@ async function clearOldCacheEntries() {
     const serverCache = cache[origin];
     for (const username in serverCache) {
       const entry = serverCache[username];
-      if (!entry.noExpire && (now - entry.timestamp > SEVEN_DAYS)) {
+      const maxAge = getEntryTtl(entry) + (isPositiveOutcome(getEntryOutcome(entry)) ? STALE_GRACE_PERIOD : 0);
+      if (!entry.noExpire && (now - entry.timestamp > maxAge)) {
         delete serverCache[username];
         updated = true;
       } else {
@@ -96,7 +133,7 @@ if (actionAPI && actionAPI.onClicked) {
   console.error("No action or browserAction API available; cannot attach click handler.");
 }
 
-// Listen for tab updates and auto-enable where permission is already granted.
+// Listen for tab updates and auto-enable where permission is already granted (when content scripts can't be registered).
 if (chrome.tabs && chrome.tabs.onUpdated && chrome.tabs.onUpdated.addListener) {
   chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     if (changeInfo.status !== "complete" || !tab || !tab.url) return;
@@ -105,10 +142,19 @@ if (chrome.tabs && chrome.tabs.onUpdated && chrome.tabs.onUpdated.addListener) {
     try { url = new URL(tab.url); } catch { return; }
     const originPattern = `${url.protocol}//${url.hostname}/*`;
 
+    // Back from a login or SSO page: see whether paused lookups can resume.
+    if (authRequired[url.hostname]) {
+      probeAuth(url.hostname, true);
+    }
+
     // If permissions API is missing, skip auto behavior.
     if (!chrome.permissions || !chrome.permissions.contains) {
       return;
     }
+    // Registered content scripts load with the page by themselves.
+    if (canRegisterContentScripts()) {
+      return;
+    }
 
     chrome.permissions.contains({ origins: [originPattern] }, (hasPermission) => {
       if (hasPermission) {
@@ -121,7 +167,25 @@ if (chrome.tabs && chrome.tabs.onUpdated && chrome.tabs.onUpdated.addListener) {
   });
 }
 
+// A tab needs only one content script: ask the page first, and have a running instance rescan
+// instead of injecting another copy. content.js also guards against a second run itself.
 function loadContentScript(tabId) {
+  if (!chrome.tabs || !chrome.tabs.sendMessage) {
+    injectContentScript(tabId);
+    return;
+  }
+  chrome.tabs.sendMessage(tabId, { type: "ping" }, (response) => {
+    // No listener answers until content.js runs in the page
+    if (chrome.runtime.lastError || !response || !response.pong) {
+      injectContentScript(tabId);
+      return;
+    }
+    console.log("Content script already running in tab", tabId, "; rescanning");
+    chrome.tabs.sendMessage(tabId, { type: "rescan" }, () => void chrome.runtime.lastError);
+  });
+}
+
+function injectContentScript(tabId) {
   // MV3 path (Chrome / future Firefox)
   if (chrome.scripting && chrome.scripting.executeScript) {
     chrome.scripting.executeScript({
@@ -150,30 +214,1251 @@ function loadContentScript(tabId) {
   console.error("No supported script injection API available.");
 }
 
-// --- Lock Manager & Cache Update ---
+// --- Content Script Registration ---
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === "acquireLock") {
-    // Only one fetch per origin+username.
-    const key = message.origin + message.username;
-    if (!nameLocks[key]) {
-      nameLocks[key] = true;
-      sendResponse({ acquired: true });
+// Every granted origin gets content.js registered as a content script, so it runs at document_idle
+// on each page load. Where registration is unavailable, tabs.onUpdated injection stays in place.
+const CONTENT_SCRIPT_ID_PREFIX = "github-unveiler:";
+
+function canRegisterContentScripts() {
+  return !!(chrome.scripting && chrome.scripting.registerContentScripts &&
+    chrome.permissions && chrome.permissions.getAll);
+}
+
+function contentScriptId(originPattern) {
+  return CONTENT_SCRIPT_ID_PREFIX + originPattern;
+}
+
+// Single-host grants only, as requested by the toolbar button; a wildcard host isn't an instance.
+function grantedOriginPatterns(origins) {
+  return (origins || []).filter(pattern => /^https?:\/\/[^*/]+\/\*$/.test(pattern));
+}
+
+// Make the registered scripts match the granted origins. Registrations outlive the background
+// page, so this runs on every wake-up as well as on permission changes.
+function syncContentScripts() {
+  if (!canRegisterContentScripts()) return;
+  chrome.permissions.getAll((permissions) => {
+    const wanted = grantedOriginPatterns(permissions && permissions.origins).map(contentScriptId);
+    chrome.scripting.getRegisteredContentScripts((scripts) => {
+      if (chrome.runtime.lastError) {
+        console.error("Could not list registered content scripts:", chrome.runtime.lastError);
+        return;
+      }
+      const registered = (scripts || []).map(script => script.id).filter(id => id.startsWith(CONTENT_SCRIPT_ID_PREFIX));
+      const stale = registered.filter(id => !wanted.includes(id));
+      const missing = wanted.filter(id => !registered.includes(id));
+      if (stale.length > 0) {
+        chrome.scripting.unregisterContentScripts({ ids: stale }, () => {
+          if (chrome.runtime.lastError) console.error("Content script unregistration failed:", chrome.runtime.lastError);
+          else console.log("Unregistered content scripts", stale);
+        });
+      }
+      if (missing.length > 0) {
+        chrome.scripting.registerContentScripts(missing.map(id => ({
+          id,
+          matches: [id.slice(CONTENT_SCRIPT_ID_PREFIX.length)],
+          js: ["content.js"],
+          runAt: "document_idle",
+        })), () => {
+          if (chrome.runtime.lastError) console.error("Content script registration failed:", chrome.runtime.lastError);
+          else console.log("Registered content scripts", missing);
+        });
+      }
+    });
+  });
+}
+
+syncContentScripts();
+
+if (chrome.permissions && chrome.permissions.onAdded) {
+  chrome.permissions.onAdded.addListener((permissions) => {
+    syncContentScripts();
+    // Registered scripts only run on the next page load; start them in tabs already open.
+    const added = grantedOriginPatterns(permissions && permissions.origins);
+    if (added.length === 0 || !chrome.tabs || !chrome.tabs.query) return;
+    chrome.tabs.query({ url: added }, (tabs) => {
+      (tabs || []).forEach(tab => loadContentScript(tab.id));
+    });
+  });
+}
+
+// Revoked origins: stop the scripts still running in their tabs and put the pages back as GitHub rendered them.
+// By now the host permission is gone, so those tabs can no longer be found by URL (there is no
+// "tabs" permission either): every tab is sent the revoked host, and content.js compares it with its own.
+if (chrome.permissions && chrome.permissions.onRemoved) {
+  chrome.permissions.onRemoved.addListener((permissions) => {
+    syncContentScripts();
+    const removed = grantedOriginPatterns(permissions && permissions.origins)
+      .map(pattern => new URL(pattern.slice(0, -1)).hostname);
+    if (removed.length === 0 || !chrome.tabs || !chrome.tabs.query || !chrome.tabs.sendMessage) return;
+    chrome.tabs.query({}, (tabs) => {
+      (tabs || []).forEach((tab) => {
+        removed.forEach((origin) => {
+          chrome.tabs.sendMessage(tab.id, { type: "teardown", origin, restore: true }, () => void chrome.runtime.lastError);
+        });
+      });
+    });
+  });
+}
+
+// --- Original Usernames Toggle ---
+
+// Switches a page between logins and display names; content.js does the swapping.
+const TOGGLE_COMMAND = "toggle-original-usernames"; // Keyboard shortcut, see "commands" in manifest.json
+const TOGGLE_MENU_ID = "toggle-original-usernames"; // Toolbar button context menu item
+
+function toggleOriginals(tabId) {
+  if (!chrome.tabs || !chrome.tabs.sendMessage) return;
+  chrome.tabs.sendMessage(tabId, { type: "toggleOriginals" }, () => {
+    // Pages without the content script have nothing to toggle.
+    void chrome.runtime.lastError;
+  });
+}
+
+if (chrome.commands && chrome.commands.onCommand) {
+  chrome.commands.onCommand.addListener((command) => {
+    if (command !== TOGGLE_COMMAND || !chrome.tabs || !chrome.tabs.query) return;
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs && tabs[0]) toggleOriginals(tabs[0].id);
+    });
+  });
+}
+
+// Firefox names it menus, Chrome contextMenus; the toolbar button context is "browser_action" in MV2.
+const menusAPI = chrome.menus || chrome.contextMenus;
+if (menusAPI && menusAPI.create) {
+  // Recreated on every wake-up of the non-persistent background page; removeAll avoids duplicate ids.
+  menusAPI.removeAll(() => {
+    menusAPI.create({
+      id: TOGGLE_MENU_ID,
+      title: "Show original usernames on this page",
+      contexts: [chrome.browserAction ? "browser_action" : "action"],
+    }, () => void chrome.runtime.lastError);
+  });
+  menusAPI.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === TOGGLE_MENU_ID && tab) toggleOriginals(tab.id);
+  });
+}
+
+// --- Request Scheduler ---
+
+const DEFAULT_MAX_CONCURRENT_REQUESTS = 4; // Per request host; overridable on the options page
+const MAX_RATE_LIMIT_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000; // Doubled on each retry unless GitHub says how long to wait
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+let maxConcurrentRequests = DEFAULT_MAX_CONCURRENT_REQUESTS;
+const requestQueues = {}; // request host => { queue, active, pausedUntil, timer }
+
+class RateLimitError extends Error {
+  constructor(url, status) {
+    super(`Rate limited by ${url} (HTTP ${status})`);
+    this.name = "RateLimitError";
+  }
+}
+
+class HttpError extends Error {
+  constructor(url, status) {
+    super(`HTTP error ${status} from ${url}`);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+// The instance sent us to a login page or SSO interstitial instead of answering.
+class AuthRequiredError extends Error {
+  constructor(url, reason) {
+    super(`Authentication required by ${url}: ${reason}`);
+    this.name = "AuthRequiredError";
+    this.reason = reason;
+  }
+}
+
+function applySettings(settings) {
+  const limit = parseInt(settings && settings.maxConcurrentRequests, 10);
+  maxConcurrentRequests = limit > 0 ? limit : DEFAULT_MAX_CONCURRENT_REQUESTS;
+}
+
+chrome.storage.local.get([SETTINGS_KEY], (result) => {
+  applySettings(result && result[SETTINGS_KEY]);
+});
+if (chrome.storage.onChanged && chrome.storage.onChanged.addListener) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes[SETTINGS_KEY]) {
+      applySettings(changes[SETTINGS_KEY].newValue);
+    }
+  });
+}
+
+// 429 is always a rate limit; 403 only when GitHub's headers say so (otherwise it's a permissions problem).
+function isRateLimited(response) {
+  if (response.status === 429) return true;
+  if (response.status !== 403 || !response.headers) return false;
+  return response.headers.get("Retry-After") !== null || response.headers.get("X-RateLimit-Remaining") === "0";
+}
+
+// Honour Retry-After (seconds or HTTP date), then X-RateLimit-Reset, then exponential backoff.
+function getRetryDelay(response, attempt) {
+  const clamp = (ms) => Math.min(Math.max(ms, 0), MAX_BACKOFF_MS);
+  const headers = response.headers;
+  const retryAfter = headers && headers.get("Retry-After");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return clamp(seconds * 1000);
+    const retryDate = Date.parse(retryAfter);
+    if (!isNaN(retryDate)) return clamp(retryDate - Date.now());
+  }
+  const reset = headers && headers.get("X-RateLimit-Reset");
+  if (reset && headers.get("X-RateLimit-Remaining") === "0") {
+    return clamp(Number(reset) * 1000 - Date.now());
+  }
+  return clamp(BASE_BACKOFF_MS * Math.pow(2, attempt));
+}
+
+/**
+ * Queues a fetch against a GitHub instance. Requests are queued per host, since each host keeps
+ * its own rate limit (api.github.com for the REST API, github.com for pages). At most
+ * `maxConcurrentRequests` requests run per host; a rate-limited response pauses that host's queue
+ * and the request is retried after the delay GitHub asks for. Gives up with a RateLimitError
+ * after `retries` attempts (MAX_RATE_LIMIT_RETRIES by default); with `retries: 0` a request also
+ * fails at once while its host is paused, for callers with somewhere else to go.
+ * @returns {Promise<Response>} The first response that isn't a rate limit.
+ */
+function scheduleFetch(url, init, { retries = MAX_RATE_LIMIT_RETRIES } = {}) {
+  const host = new URL(url).host;
+  const q = getRequestQueue(host);
+  if (retries === 0 && q.pausedUntil > Date.now()) {
+    return Promise.reject(new RateLimitError(url, 429));
+  }
+  return new Promise((resolve, reject) => {
+    q.queue.push({ url, init, resolve, reject, attempt: 0, retries });
+    drainRequestQueue(host);
+  });
+}
+
+function getRequestQueue(host) {
+  if (!requestQueues[host]) {
+    requestQueues[host] = { queue: [], active: 0, pausedUntil: 0, timer: null };
+  }
+  return requestQueues[host];
+}
+
+function drainRequestQueue(host) {
+  const q = requestQueues[host];
+  const waitMs = q.pausedUntil - Date.now();
+  if (waitMs > 0) {
+    if (!q.timer) {
+      q.timer = setTimeout(() => {
+        q.timer = null;
+        drainRequestQueue(host);
+      }, waitMs);
+    }
+    return;
+  }
+  while (q.active < maxConcurrentRequests && q.queue.length > 0) {
+    const job = q.queue.shift();
+    q.active++;
+    runScheduledFetch(q, job).finally(() => {
+      q.active--;
+      drainRequestQueue(host);
+    });
+  }
+}
+
+async function runScheduledFetch(q, job) {
+  try {
+    const response = await fetch(job.url, job.init);
+    if (!isRateLimited(response)) {
+      job.resolve(response);
+      return;
+    }
+    const delay = getRetryDelay(response, job.attempt);
+    q.pausedUntil = Math.max(q.pausedUntil, Date.now() + delay);
+    persistRequestPauses();
+    if (job.attempt < job.retries) {
+      console.warn(`Rate limited by ${job.url}; retrying in ${delay} ms`);
+      job.attempt++;
+      q.queue.unshift(job);
+    } else {
+      job.reject(new RateLimitError(job.url, response.status));
+    }
+  } catch (err) {
+    job.reject(err);
+  }
+}
+
+// --- Name Resolution ---
+
+const GRAPHQL_CHUNK_SIZE = 50; // Aliased user(login:) fields per query
+const graphqlUnavailable = {}; // origin => true once the instance showed it has no GraphQL endpoint
+const GITHUB_LOGIN_REGEX = /^[a-z\d_](?:[a-z\d_]|-(?=[a-z\d_])){0,38}$/i;
+
+// Helper: Get the personal access token stored for an origin, or null.
+function getApiToken(origin) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([TOKENS_KEY], (result) => {
+      const tokens = (result && result[TOKENS_KEY]) || {};
+      resolve(tokens[origin] || null);
+    });
+  });
+}
+
+// github.com serves its API from api.github.com; Enterprise serves it under /api/v3.
+function getApiBaseUrl(origin) {
+  if (origin === "github.com" || origin === "www.github.com") {
+    return "https://api.github.com";
+  }
+  return `https://${origin}/api/v3`;
+}
+
+// github.com serves GraphQL from api.github.com; Enterprise serves it under /api/graphql.
+function getGraphqlUrl(origin) {
+  if (origin === "github.com" || origin === "www.github.com") {
+    return "https://api.github.com/graphql";
+  }
+  return `https://${origin}/api/graphql`;
+}
+
+// Map a lookup failure onto the outcome recorded in the cache.
+function classifyLookupError(err) {
+  if (err instanceof RateLimitError) return "rate-limited";
+  if (err instanceof AuthRequiredError) return "auth-required";
+  if (err instanceof HttpError) {
+    if (err.status === 404 || err.status === 410) return "not-found";
+    if (err.status === 401 || err.status === 403) return "auth-required";
+  }
+  return "network-error";
+}
+
+// A successful lookup: "resolved" with the name, or "no-name" (shown as the login) when it is blank.
+// `extractor` names the PROFILE_NAME_EXTRACTORS entry that read the name off a page.
+function nameResult(username, rawName, extractor) {
+  const name = typeof rawName === "string" ? rawName.trim() : "";
+  if (!name) {
+    return { displayName: username, outcome: "no-name" };
+  }
+  return extractor ? { displayName: name, outcome: "resolved", extractor } : { displayName: name, outcome: "resolved" };
+}
+
+function failureResult(username, err) {
+  return { displayName: username, outcome: classifyLookupError(err), error: err.toString() };
+}
+
+// Paths signed-out visitors are sent to: the login page, SAML/OIDC endpoints and org or
+// enterprise SSO interstitials.
+const AUTH_PATH_REGEX = /^\/(?:login|session|sessions\/|saml\/|oidc\/|(?:orgs|enterprises)\/[^/]+\/(?:sso|saml))/;
+
+// Returns why `response` is a sign-in wall (an SSO header or a redirect to a login path), or null.
+function getAuthRedirect(response) {
+  const sso = response.headers && response.headers.get ? response.headers.get("X-GitHub-SSO") : null;
+  if (sso && /^required/i.test(sso)) {
+    return "SSO authorization required";
+  }
+  if (response.redirected && response.url) {
+    let path = "";
+    try { path = new URL(response.url).pathname; } catch { }
+    if (AUTH_PATH_REGEX.test(path)) {
+      return "redirected to " + path;
+    }
+  }
+  return null;
+}
+
+// Returns why a page without a profile name is a sign-in page rather than a profile, or null.
+function findAuthForm(doc) {
+  if (doc.querySelector('form[action$="/session"], input[type="password"][name="password"]')) {
+    return "login form";
+  }
+  // The interstitial's own form posts to the SAML/OIDC initiate endpoint. Plain /sso links are
+  // left alone: signed-in members of SAML orgs see them in a reminder banner on every page.
+  if (doc.querySelector('form[action*="/saml/"], form[action*="/oidc/"]')) {
+    return "SSO interstitial";
+  }
+  return null;
+}
+
+function textOf(el) {
+  return el ? el.textContent : null;
+}
+
+// Depth-first search of a JSON payload for an object with this login and a real name.
+const EMBEDDED_NAME_KEYS = ["name", "displayName", "profileName"];
+function findEmbeddedName(value, username, depth = 0) {
+  if (!value || typeof value !== "object" || depth > 20) return null;
+  if (typeof value.login === "string" && value.login.toLowerCase() === username.toLowerCase()) {
+    for (const key of EMBEDDED_NAME_KEYS) {
+      const name = typeof value[key] === "string" ? value[key].trim() : "";
+      if (name && name !== value.login) return name;
+    }
+  }
+  for (const key in value) {
+    const found = findEmbeddedName(value[key], username, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+// `<meta property="og:title">` reads "login (Name)" or "Name (login)" on older instances.
+function extractNameFromOgTitle(doc, username) {
+  const profileMeta = doc.querySelector('meta[property="profile:username"]');
+  if (profileMeta && profileMeta.content.toLowerCase() !== username.toLowerCase()) return null;
+  const ogTitle = doc.querySelector('meta[property="og:title"]');
+  const match = ogTitle && ogTitle.content.trim().match(/^(.+?) \((.+)\)$/);
+  if (!match) return null;
+  if (match[1].toLowerCase() === username.toLowerCase()) return match[2];
+  if (match[2].toLowerCase() === username.toLowerCase()) return match[1];
+  return null;
+}
+
+function extractNameFromEmbeddedData(doc, username) {
+  for (const script of doc.querySelectorAll('script[type="application/json"][data-target$=".embeddedData"]')) {
+    let payload;
+    try { payload = JSON.parse(script.textContent); } catch { continue; }
+    const name = findEmbeddedName(payload, username);
+    if (name) return name;
+  }
+  return null;
+}
+
+// Hovercard markup links the name and the login to the same profile; the name is the one that
+// isn't the login.
+function extractNameFromHovercard(doc, username) {
+  if (!doc.querySelector('[data-hydro-view*="hovercard"]')) return null;
+  const profilePath = "/" + username.toLowerCase();
+  for (const link of doc.querySelectorAll("a[href]")) {
+    const text = link.textContent.trim();
+    if ((link.getAttribute("href") || "").toLowerCase() === profilePath && text
+      && text.toLowerCase() !== username.toLowerCase() && text.toLowerCase() !== "@" + username.toLowerCase()) {
+      return text;
+    }
+  }
+  return null;
+}
+
+/**
+ * Strategies for reading a display name off a profile page (or hovercard fragment), tried in
+ * order. Profile layouts differ between GitHub Enterprise versions and github.com releases; the
+ * id of the one that matched is stored on the cache entry as `extractor`, so a strategy that
+ * stops matching after a GitHub release shows up in the cache and on the options page.
+ */
+const PROFILE_NAME_EXTRACTORS = [
+  { id: "vcard-fullname", extract: (doc) => textOf(doc.querySelector(".vcard-fullname")) },
+  {
+    id: "itemprop-name",
+    extract: (doc) => textOf(doc.querySelector('.h-card [itemprop="name"], [itemtype$="schema.org/Person"] [itemprop="name"]')),
+  },
+  { id: "og-title", extract: extractNameFromOgTitle },
+  { id: "embedded-data", extract: extractNameFromEmbeddedData },
+  { id: "hovercard", extract: extractNameFromHovercard },
+];
+
+// @returns {{name: string, extractor: string}|null} The first extractor that found a name.
+function extractProfileName(doc, username) {
+  for (const { id, extract } of PROFILE_NAME_EXTRACTORS) {
+    let name = null;
+    try {
+      name = extract(doc, username);
+    } catch (err) {
+      console.warn("Name extractor", id, "failed for @" + username + ":", err);
+    }
+    if (name && name.trim()) {
+      return { name: name.trim(), extractor: id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Looks the user up through the REST API (`GET /users/{login}`).
+ * Throws when the API is unreachable or answers with an error, so the caller can fall back.
+ * @returns {Promise<{displayName: string, outcome: string}>}
+ */
+async function fetchDisplayNameFromApi(origin, username, token) {
+  const headers = { Accept: "application/vnd.github+json" };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const url = `${getApiBaseUrl(origin)}/users/${encodeURIComponent(username)}`;
+  // Signed out, github.com allows 60 REST calls an hour; once they're used up the hovercard
+  // answers instead, so a rate limit here fails at once rather than waiting for the reset.
+  const response = await scheduleFetch(url, { headers }, { retries: 0 });
+  if (!response.ok) {
+    const wall = getAuthRedirect(response);
+    throw wall ? new AuthRequiredError(url, wall) : new HttpError(url, response.status);
+  }
+  const data = await response.json();
+  return nameResult(username, data && data.name);
+}
+
+/**
+ * Scrapes the display name from the user's HTML profile page.
+ * Kept as a fallback for instances where the REST API is disabled or blocked.
+ * Throws AuthRequiredError when the instance answers with a login or SSO page instead.
+ * @returns {Promise<{displayName: string, outcome: string}>}
+ */
+async function fetchDisplayNameFromProfile(origin, username) {
+  // Send the session cookie along: private Enterprise instances only show profiles to signed-in users.
+  const url = `https://${origin}/${username}`;
+  const response = await scheduleFetch(url, { credentials: "include" });
+  const redirect = getAuthRedirect(response);
+  if (redirect) {
+    throw new AuthRequiredError(url, redirect);
+  }
+  if (!response.ok) {
+    throw new HttpError(url, response.status);
+  }
+  const html = await response.text();
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const extracted = extractProfileName(doc, username);
+  if (extracted) {
+    return nameResult(username, extracted.name, extracted.extractor);
+  }
+  const form = findAuthForm(doc);
+  if (form) {
+    throw new AuthRequiredError(url, form);
+  }
+  return nameResult(username, null);
+}
+
+/**
+ * Reads the display name from the hovercard fragment (`/users/{login}/hovercard`): a few
+ * kilobytes of markup with the name, pronouns, company and location, instead of the full profile
+ * page. Throws when the fragment can't be fetched or isn't hovercard markup, so the caller can
+ * fall back to the profile page.
+ * @returns {Promise<{displayName: string, outcome: string}>}
+ */
+async function fetchDisplayNameFromHovercard(origin, username) {
+  const url = `https://${origin}/users/${encodeURIComponent(username)}/hovercard`;
+  // Without X-Requested-With GitHub answers with a full page instead of the fragment.
+  const response = await scheduleFetch(url, {
+    credentials: "include",
+    headers: { "X-Requested-With": "XMLHttpRequest" },
+  });
+  const redirect = getAuthRedirect(response);
+  if (redirect) {
+    throw new AuthRequiredError(url, redirect);
+  }
+  if (!response.ok) {
+    throw new HttpError(url, response.status);
+  }
+  const html = await response.text();
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const extracted = extractProfileName(doc, username);
+  if (extracted) {
+    return nameResult(username, extracted.name, extracted.extractor);
+  }
+  const form = findAuthForm(doc);
+  if (form) {
+    throw new AuthRequiredError(url, form);
+  }
+  if (doc.querySelector('[data-hydro-view*="hovercard"]')) {
+    return nameResult(username, null); // A hovercard without a name: the user hasn't set one
+  }
+  throw new Error("Unrecognised hovercard markup from " + url);
+}
+
+/**
+ * Builds one aliased query resolving every login in `usernames`.
+ * Logins are passed as variables ($l0, $l1, ...) rather than spliced into the query text.
+ */
+function buildUserBatchQuery(usernames) {
+  const params = [];
+  const fields = [];
+  const variables = {};
+  usernames.forEach((username, i) => {
+    params.push(`$l${i}: String!`);
+    fields.push(`u${i}: user(login: $l${i}) { login name }`);
+    variables[`l${i}`] = username;
+  });
+  return {
+    query: `query(${params.join(", ")}) { ${fields.join(" ")} }`,
+    variables,
+  };
+}
+
+/**
+ * Resolves a chunk of logins with a single GraphQL request.
+ * Throws if GraphQL is unreachable or returns no data at all.
+ * @returns {Promise<Object<string, {displayName: string, outcome: string}>>} login => result.
+ */
+async function fetchDisplayNamesFromGraphql(origin, usernames, token) {
+  const { query, variables } = buildUserBatchQuery(usernames);
+  const url = getGraphqlUrl(origin);
+  const response = await scheduleFetch(url, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ query, variables }),
+  });
+  if (!response.ok) {
+    const wall = getAuthRedirect(response);
+    throw wall ? new AuthRequiredError(url, wall) : new HttpError(url, response.status);
+  }
+  const body = await response.json();
+  if (!body || !body.data) {
+    throw new Error("GraphQL returned no data");
+  }
+
+  const results = {};
+  usernames.forEach((username, i) => {
+    const user = body.data[`u${i}`];
+    results[username] = user
+      ? nameResult(username, user.name)
+      : { displayName: username, outcome: "not-found" };
+  });
+  return results;
+}
+
+// REST API first, then the hovercard fragment, then the full profile page. Failures become failure
+// results so one bad login can't sink a batch. A 404 from the API is taken as final. A rate-limited
+// API falls through to the hovercard, which counts against the pages' own limit; a rate limit on
+// the pages ends the lookup rather than adding more load to the instance. A page behind a sign-in
+// wall pauses the whole origin (see markAuthRequired).
+async function fetchDisplayNameIndividually(origin, username, token) {
+  try {
+    return await fetchDisplayNameFromApi(origin, username, token);
+  } catch (apiErr) {
+    if (classifyLookupError(apiErr) === "not-found") {
+      console.warn("REST API lookup for @" + username + " ended as not-found:", apiErr);
+      return failureResult(username, apiErr);
+    }
+    console.warn("REST API lookup failed for @" + username + ", falling back to hovercard:", apiErr);
+  }
+  const pausedResult = { displayName: username, outcome: "auth-required", error: "Sign-in required" };
+  if (authRequired[origin]) {
+    // Another lookup already hit the wall; retried once sign-in is restored.
+    return pausedResult;
+  }
+  try {
+    return await fetchDisplayNameFromHovercard(origin, username);
+  } catch (hovercardErr) {
+    if (hovercardErr instanceof AuthRequiredError) {
+      markAuthRequired(origin, hovercardErr.reason, username);
+      return failureResult(username, hovercardErr);
+    }
+    if (hovercardErr instanceof RateLimitError) {
+      return failureResult(username, hovercardErr);
+    }
+    // Older instances may lack the endpoint; a 404 here isn't proof the user doesn't exist.
+    console.warn("Hovercard lookup failed for @" + username + ", falling back to profile page:", hovercardErr);
+  }
+  if (authRequired[origin]) {
+    return pausedResult;
+  }
+  try {
+    return await fetchDisplayNameFromProfile(origin, username);
+  } catch (err) {
+    if (err instanceof AuthRequiredError) {
+      markAuthRequired(origin, err.reason, username);
     } else {
-      sendResponse({ acquired: false });
+      console.error("Error fetching display name for @" + username, err);
+    }
+    return failureResult(username, err);
+  }
+}
+
+/**
+ * Fetches names for logins nobody is looking up yet.
+ * With a token, logins are resolved in aliased GraphQL chunks; otherwise (or for a chunk whose
+ * GraphQL request failed, or once the instance turned out to have no GraphQL) each login goes
+ * through the REST/hovercard/profile path.
+ * Every result, failures included, is written to the cache in one update.
+ * @returns {Promise<Object<string, {displayName: string, outcome: string}>>} login => result.
+ */
+async function lookupDisplayNames(origin, usernames) {
+  const results = {};
+  const token = await getApiToken(origin);
+
+  for (let i = 0; i < usernames.length; i += GRAPHQL_CHUNK_SIZE) {
+    const chunk = usernames.slice(i, i + GRAPHQL_CHUNK_SIZE);
+    if (token && !graphqlUnavailable[origin]) {
+      try {
+        Object.assign(results, await fetchDisplayNamesFromGraphql(origin, chunk, token));
+        continue;
+      } catch (err) {
+        if (err instanceof RateLimitError) {
+          console.warn("GraphQL batch lookup rate limited for", origin, ":", err);
+          chunk.forEach((username) => { results[username] = failureResult(username, err); });
+          continue;
+        }
+        // Only a missing endpoint (GraphQL disabled on the instance) is permanent; outages,
+        // sign-in walls and rejected tokens send just this chunk down the per-user path.
+        if (err instanceof HttpError && err.status === 404) {
+          console.warn("GraphQL is not available on", origin, "- using per-user lookups from now on");
+          graphqlUnavailable[origin] = true;
+        } else {
+          console.warn("GraphQL batch lookup failed for", origin, "- falling back to per-user lookups for this chunk:", err);
+        }
+      }
+    }
+    const chunkResults = await Promise.all(chunk.map((username) => fetchDisplayNameIndividually(origin, username, token)));
+    chunk.forEach((username, j) => { results[username] = chunkResults[j]; });
+  }
+
+  if (Object.keys(results).length > 0) {
+    await updateCacheEntries(origin, results);
+  }
+  return results;
+}
+
+// --- Lookup Leases ---
+
+const LOCK_LEASE_MS = 30 * 1000; // A lookup that hasn't settled by then gives up its lock
+
+/**
+ * Takes a lease on origin+username for `lookup`. Other tabs asking for the same login wait on
+ * `lease.promise` instead of fetching again. The lease ends when the lookup settles, when it
+ * runs past LOCK_LEASE_MS, or when every tab that asked for it has closed, so a stuck or failed
+ * lookup can't block the login for the rest of the session.
+ * @param {string} origin The instance.
+ * @param {string} username The login being looked up.
+ * @param {Promise<{displayName: string, outcome: string}>} lookup The lookup result.
+ * @param {number|undefined} tabId The tab asking first, if any.
+ * @returns {Object} The lease.
+ */
+function acquireLock(origin, username, lookup, tabId) {
+  let settle;
+  const lease = {
+    key: origin + username,
+    origin,
+    username,
+    promise: new Promise((resolve) => { settle = resolve; }),
+    owners: new Set(),
+    expiresAt: Date.now() + LOCK_LEASE_MS,
+  };
+  lease.settle = settle;
+  addLockOwner(lease, tabId);
+  lease.timer = setTimeout(() => releaseLock(lease, "Lease expired after " + LOCK_LEASE_MS + " ms"), LOCK_LEASE_MS);
+  nameLocks[lease.key] = lease;
+  persistNameLocks();
+
+  lookup.then(
+    (result) => releaseLock(lease, isPositiveOutcome(result.outcome) ? null : (result.error || result.outcome), result),
+    (err) => releaseLock(lease, err)
+  );
+  return lease;
+}
+
+function addLockOwner(lease, tabId) {
+  if (typeof tabId === "number") {
+    lease.owners.add(tabId);
+    persistNameLocks();
+  }
+}
+
+/**
+ * Ends a lease and answers everyone waiting on it. The reason for a failed lease is logged; the
+ * lookup's own error is kept on its cache entry (see updateCacheEntries).
+ * A lease that was already released (e.g. it expired before the fetch came back) is left alone,
+ * so a late result can't release a newer lease for the same login.
+ */
+function releaseLock(lease, error, result = null) {
+  if (nameLocks[lease.key] !== lease) return;
+  clearTimeout(lease.timer);
+  delete nameLocks[lease.key];
+  persistNameLocks();
+  if (error) {
+    console.warn("Lookup for", lease.key, "released with error:", error.toString());
+  }
+  lease.settle(result);
+}
+
+// Drop a tab from every lease it was waiting on; leases nobody is waiting for are released.
+function releaseLocksForTab(tabId, error) {
+  for (const key in nameLocks) {
+    const lease = nameLocks[key];
+    if (lease.owners.delete(tabId) && lease.owners.size === 0) {
+      releaseLock(lease, error);
     }
+  }
+  persistNameLocks();
+}
+
+if (chrome.tabs && chrome.tabs.onRemoved && chrome.tabs.onRemoved.addListener) {
+  chrome.tabs.onRemoved.addListener((tabId) => {
+    releaseLocksForTab(tabId, "Owner tab " + tabId + " closed");
+  });
+}
+
+// --- Lease Persistence ---
+
+// The background page is an event page and is suspended when idle, taking the leases and their
+// fetches with it. Each lease's login and waiting tabs are mirrored to storage.session, which
+// outlives suspension but not the browser session; on wake-up the interrupted lookups start again.
+// Hosts' rate-limit pauses are mirrored too, so those lookups don't run into a host still paused.
+const NAME_LOCKS_KEY = "githubUnveilerNameLocks";
+const REQUEST_PAUSES_KEY = "githubUnveilerRequestPauses"; // request host => pausedUntil
+let nameLocksPersistQueued = false;
+
+function hasSessionStorage() {
+  return !!(chrome.storage && chrome.storage.session && chrome.storage.session.set);
+}
+
+// Batched: a lookup takes many leases at once, and they are written together.
+function persistNameLocks() {
+  if (nameLocksPersistQueued || !hasSessionStorage()) return;
+  nameLocksPersistQueued = true;
+  Promise.resolve().then(() => {
+    nameLocksPersistQueued = false;
+    const locks = {};
+    for (const key in nameLocks) {
+      const { origin, username, owners, expiresAt } = nameLocks[key];
+      locks[key] = { origin, username, owners: Array.from(owners), expiresAt };
+    }
+    chrome.storage.session.set({ [NAME_LOCKS_KEY]: locks }, () => void chrome.runtime.lastError);
+  });
+}
+
+// Only pauses still running are written, so expired ones drop out on the next pause.
+function persistRequestPauses() {
+  if (!hasSessionStorage()) return;
+  const now = Date.now();
+  const pauses = {};
+  for (const host in requestQueues) {
+    if (requestQueues[host].pausedUntil > now) pauses[host] = requestQueues[host].pausedUntil;
+  }
+  chrome.storage.session.set({ [REQUEST_PAUSES_KEY]: pauses }, () => void chrome.runtime.lastError);
+}
+
+/**
+ * Start the lookups a suspension cut short, once the rate-limit pauses it interrupted are back. The tabs that asked lost their answer with the old
+ * page, so the results are pushed to them as a namesUpdated broadcast instead. Leases past their
+ * expiry are dropped, as they would have been had the page stayed up.
+ */
+function restoreNameLocks() {
+  if (!hasSessionStorage()) return;
+  chrome.storage.session.get([NAME_LOCKS_KEY, REQUEST_PAUSES_KEY], (result) => {
+    const locks = (result && result[NAME_LOCKS_KEY]) || {};
+    const pauses = (result && result[REQUEST_PAUSES_KEY]) || {};
+    const now = Date.now();
+    for (const host in pauses) {
+      if (pauses[host] <= now) continue;
+      const q = getRequestQueue(host);
+      q.pausedUntil = Math.max(q.pausedUntil, pauses[host]);
+    }
+    const byOrigin = {}; // origin => interrupted leases
+    for (const key in locks) {
+      const lock = locks[key];
+      if (lock.expiresAt <= now) continue;
+      if (nameLocks[key]) {
+        // Asked for again since waking up: the new lease also answers the old tabs.
+        lock.owners.forEach((tabId) => addLockOwner(nameLocks[key], tabId));
+        continue;
+      }
+      (byOrigin[lock.origin] || (byOrigin[lock.origin] = [])).push(lock);
+    }
+    for (const origin in byOrigin) {
+      console.log("Resuming lookups interrupted by suspension on", origin, byOrigin[origin].map((lock) => lock.username));
+      const batch = lookupDisplayNames(origin, byOrigin[origin].map((lock) => lock.username));
+      byOrigin[origin].forEach((lock) => {
+        const lease = acquireLock(origin, lock.username, batch.then((results) => results[lock.username]));
+        lock.owners.forEach((tabId) => addLockOwner(lease, tabId));
+      });
+      batch.then((results) => {
+        const names = {};
+        for (const username in results) {
+          const result = results[username];
+          if (result && isPositiveOutcome(result.outcome)) names[username] = result.displayName;
+        }
+        if (Object.keys(names).length > 0) broadcastNamesUpdated(origin, names);
+      }).catch((err) => console.error("Error resuming interrupted lookups:", err));
+    }
+    persistNameLocks(); // Drops the expired ones
+  });
+}
+
+restoreNameLocks();
+
+// --- Stale-While-Revalidate ---
+
+// Pinned (noExpire) entries are never refreshed: they hold names the user typed in.
+function isEntryStale(entry, now) {
+  return !entry.noExpire && now - entry.timestamp > getEntryTtl(entry) - REFRESH_WINDOW;
+}
+
+// Tell every open tab of `origin` that names changed, so replaced text updates in place.
+function broadcastNamesUpdated(origin, names) {
+  if (!chrome.tabs || !chrome.tabs.query || !chrome.tabs.sendMessage) return;
+  chrome.tabs.query({ url: `*://${origin}/*` }, (tabs) => {
+    (tabs || []).forEach((tab) => {
+      chrome.tabs.sendMessage(tab.id, { type: "namesUpdated", origin, names }, () => {
+        // Tabs without the content script have no listener; that's expected.
+        void chrome.runtime.lastError;
+      });
+    });
+  });
+}
+
+/**
+ * Re-fetches stale cached names without making anyone wait for them. The lookup takes
+ * ordinary leases, so a tab asking for one of these logins meanwhile shares the fetch.
+ * Transient failures leave the cached entry alone (see updateCacheEntries); changed names are
+ * broadcast to open tabs.
+ */
+function refreshStaleNames(origin, staleEntries) {
+  const usernames = Object.keys(staleEntries).filter((username) => !nameLocks[origin + username]);
+  if (usernames.length === 0) return;
+
+  const batch = lookupDisplayNames(origin, usernames);
+  usernames.forEach((username) => {
+    acquireLock(origin, username, batch.then((results) => results[username]));
+  });
+  batch.then((results) => {
+    const changed = {};
+    usernames.forEach((username) => {
+      const result = results[username];
+      if (result && isPositiveOutcome(result.outcome) && result.displayName !== staleEntries[username].displayName) {
+        changed[username] = result.displayName;
+      }
+    });
+    if (Object.keys(changed).length > 0) {
+      console.log("Refreshed renamed users on", origin, Object.keys(changed));
+      broadcastNamesUpdated(origin, changed);
+    }
+  }).catch((err) => {
+    console.error("Error refreshing stale cache entries:", err);
+  });
+}
+
+/**
+ * Resolves display names for a tab. Cached names are answered straight away (stale ones are
+ * then refreshed in the background, see refreshStaleNames); logins already being looked up (by any tab) share the same lease in `nameLocks`,
+ * so each login is fetched at most once no matter how many tabs ask for it.
+ * Logins that can't be resolved fall back to the login itself, as do new logins while the origin
+ * needs sign-in (they are retried once it is restored, see clearAuthRequired).
+ * @param {string} origin Hostname of the GitHub instance.
+ * @param {string[]} usernames Logins to resolve.
+ * @param {number} [tabId] The tab asking, recorded as an owner of any lease it waits on.
+ * @returns {Promise<Object<string, string>>} login => display name.
+ */
+async function resolveNames(origin, usernames, tabId) {
+  const names = {};
+  const serverCache = (await getCache())[origin] || {};
+  const toFetch = [];
+  const stale = {};
+  const now = Date.now();
+  const paused = !!authRequired[origin];
+
+  for (const username of new Set(usernames)) {
+    if (!GITHUB_LOGIN_REGEX.test(username)) {
+      names[username] = username;
+    } else if (serverCache[username] && isPositiveOutcome(getEntryOutcome(serverCache[username]))) {
+      // Serve cached names immediately, even past expiry; stale ones are refreshed below.
+      names[username] = serverCache[username].displayName;
+      if (isEntryStale(serverCache[username], now)) {
+        stale[username] = serverCache[username];
+      }
+    } else if (serverCache[username] && now - serverCache[username].timestamp < getEntryTtl(serverCache[username])) {
+      // A recent failure: show the login until its retry TTL is up.
+      names[username] = username;
+    } else if (nameLocks[origin + username]) {
+      addLockOwner(nameLocks[origin + username], tabId);
+    } else if (paused) {
+      names[username] = username;
+      (authDeferred[origin] || (authDeferred[origin] = new Set())).add(username);
+    } else {
+      toFetch.push(username);
+    }
+  }
+
+  if (toFetch.length > 0) {
+    const batch = lookupDisplayNames(origin, toFetch);
+    toFetch.forEach((username) => {
+      acquireLock(origin, username, batch.then((results) => results[username]), tabId);
+    });
+  }
+
+  if (paused) {
+    probeAuth(origin);
+  } else {
+    refreshStaleNames(origin, stale);
+  }
+
+  const waiting = [];
+  for (const username of new Set(usernames)) {
+    const lease = nameLocks[origin + username];
+    if (!(username in names) && lease) {
+      waiting.push(lease.promise.then((result) => { names[username] = result ? result.displayName : username; }));
+    }
+  }
+  await Promise.all(waiting);
+  return names;
+}
+
+// --- Organization Import ---
+
+/**
+ * One page of an organization's members. With a token this is the members API (logins only);
+ * otherwise the `/orgs/{org}/people` page, which also shows each member's name.
+ * @returns {Promise<{members: Object<string, string|null>, nextPage: number|null}>} login => name,
+ *   or null when the listing doesn't show one.
+ */
+async function listOrgMembers(origin, org, page) {
+  const token = await getApiToken(origin);
+  if (token) {
+    const url = `${getApiBaseUrl(origin)}/orgs/${encodeURIComponent(org)}/members?per_page=100&page=${page}`;
+    const response = await scheduleFetch(url, {
+      headers: { Accept: "application/vnd.github+json", Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) {
+      const wall = getAuthRedirect(response);
+      throw wall ? new AuthRequiredError(url, wall) : new HttpError(url, response.status);
+    }
+    const data = await response.json();
+    const members = {};
+    (Array.isArray(data) ? data : []).forEach((member) => {
+      if (member && member.login) members[member.login] = null;
+    });
+    const link = response.headers && response.headers.get ? response.headers.get("Link") : null;
+    return { members, nextPage: link && /rel="next"/.test(link) ? page + 1 : null };
+  }
+
+  const url = `https://${origin}/orgs/${encodeURIComponent(org)}/people?page=${page}`;
+  const response = await scheduleFetch(url, { credentials: "include" });
+  const redirect = getAuthRedirect(response);
+  if (redirect) {
+    throw new AuthRequiredError(url, redirect);
+  }
+  if (!response.ok) {
+    throw new HttpError(url, response.status);
+  }
+  const doc = new DOMParser().parseFromString(await response.text(), "text/html");
+  const members = {};
+  doc.querySelectorAll("li[data-bulk-actions-id]").forEach((item) => {
+    const login = item.getAttribute("data-bulk-actions-id");
+    if (!GITHUB_LOGIN_REGEX.test(login)) return;
+    // Like a hovercard, the row links both the name and the login to the profile.
+    const nameLink = Array.from(item.querySelectorAll("a[href]")).find((link) => {
+      const text = link.textContent.trim();
+      return link.getAttribute("href").toLowerCase() === "/" + login.toLowerCase() && text && text.toLowerCase() !== login.toLowerCase();
+    });
+    members[login] = nameLink ? nameLink.textContent.trim() : null;
+  });
+  if (Object.keys(members).length === 0) {
+    const form = findAuthForm(doc);
+    if (form) {
+      throw new AuthRequiredError(url, form);
+    }
+  }
+  return { members, nextPage: doc.querySelector('a.next_page, a[rel="next"]') ? page + 1 : null };
+}
+
+const importingMembers = {}; // origin => Set of logins from the import page being stored
+
+/**
+ * Imports one page of an organization's members for the options page, which drives the pages
+ * (and can stop between them). Names shown in the listing are stored as "org-import"; the other
+ * logins are resolved like any page's logins, through resolveNames. Every member's entry is
+ * flagged `imported`, which exempts it from the per-origin cap: an organization can have
+ * thousands of members, and the import must not push out earlier pages or names learned before.
+ * @returns {Promise<{imported: number, nextPage: number|null}>}
+ */
+async function importOrgMembersPage(origin, org, page) {
+  const { members, nextPage } = await listOrgMembers(origin, org, page);
+  const logins = Object.keys(members);
+  const importing = importingMembers[origin] || (importingMembers[origin] = new Set());
+  logins.forEach((login) => importing.add(login));
+  try {
+    await storeOrgMembers(origin, members);
+  } finally {
+    logins.forEach((login) => importing.delete(login));
+  }
+  return { imported: logins.length, nextPage };
+}
+
+async function storeOrgMembers(origin, members) {
+  const listed = {};
+  const unnamed = [];
+  for (const login in members) {
+    if (members[login]) {
+      listed[login] = { displayName: members[login], outcome: "resolved", source: "org-import" };
+    } else {
+      unnamed.push(login);
+    }
+  }
+  if (Object.keys(listed).length > 0) {
+    await updateCacheEntries(origin, listed);
+  }
+  if (unnamed.length > 0) {
+    await resolveNames(origin, unnamed);
+  }
+  // Members whose cached entry was still fresh weren't rewritten above.
+  cacheLock = cacheLock.then(async () => {
+    const cache = await getCache();
+    const serverCache = cache[origin] || {};
+    Object.keys(members).forEach((login) => {
+      if (serverCache[login]) serverCache[login].imported = true;
+    });
+    cache[origin] = serverCache;
+    await setCache(cache);
+  }).catch((err) => {
+    console.error("Error marking imported members:", err);
+  });
+  await cacheLock;
+}
+
+// --- Authentication State ---
+
+const AUTH_PROBE_INTERVAL = 60 * 1000; // While paused, re-check sign-in at most this often
+const DEFAULT_ACTION_TITLE = "Enable GitHub Unveiler (FF)"; // browser_action.default_title in the manifest
+const authRequired = {}; // origin => { reason, since, probeLogin }, mirrored to AUTH_STATE_KEY
+const authDeferred = {}; // origin => Set of logins skipped while paused
+const authProbes = {}; // origin => { lastProbe, inFlight }
+
+// The background page may have been unloaded while an origin was paused.
+chrome.storage.local.get(AUTH_STATE_KEY, (result) => {
+  Object.assign(authRequired, (result && result[AUTH_STATE_KEY]) || {});
+  updateAuthBadge();
+});
+
+function saveAuthState() {
+  chrome.storage.local.set({ [AUTH_STATE_KEY]: authRequired }, () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error saving authentication state:", chrome.runtime.lastError);
+    }
+  });
+}
+
+// A "!" badge and a title naming the origins that need sign-in.
+function updateAuthBadge() {
+  if (!actionAPI || !actionAPI.setBadgeText) return;
+  const origins = Object.keys(authRequired);
+  actionAPI.setBadgeText({ text: origins.length > 0 ? "!" : "" });
+  if (actionAPI.setBadgeBackgroundColor) {
+    actionAPI.setBadgeBackgroundColor({ color: "#d73a49" });
+  }
+  if (actionAPI.setTitle) {
+    actionAPI.setTitle({ title: origins.length > 0 ? `Sign-in required for ${origins.join(", ")}` : DEFAULT_ACTION_TITLE });
+  }
+}
+
+/**
+ * Pauses lookups for an origin that answered with a login or SSO page, so the sign-in wall is
+ * neither cached as names nor hit again for every login on the page.
+ * @param {string} origin Hostname of the GitHub instance.
+ * @param {string} reason What gave the wall away, shown on the options page.
+ * @param {string} probeLogin A login whose profile is re-fetched to detect the restored session.
+ */
+function markAuthRequired(origin, reason, probeLogin) {
+  if (authRequired[origin]) return;
+  console.warn("Authentication required for", origin, "(" + reason + "); pausing lookups.");
+  authRequired[origin] = { reason, since: Date.now(), probeLogin };
+  authProbes[origin] = { lastProbe: Date.now(), inFlight: false };
+  saveAuthState();
+  updateAuthBadge();
+}
+
+// Resumes lookups and retries everything the pause held back, plus cached sign-in failures.
+async function clearAuthRequired(origin) {
+  if (!authRequired[origin]) return;
+  console.log("Authentication restored for", origin, "; resuming lookups.");
+  delete authRequired[origin];
+  saveAuthState();
+  updateAuthBadge();
+
+  const retry = {};
+  (authDeferred[origin] || []).forEach((username) => { retry[username] = { displayName: username }; });
+  delete authDeferred[origin];
+  const serverCache = (await getCache())[origin] || {};
+  for (const username in serverCache) {
+    if (getEntryOutcome(serverCache[username]) === "auth-required") {
+      retry[username] = serverCache[username];
+    }
+  }
+  refreshStaleNames(origin, retry);
+}
+
+/**
+ * Re-fetches the profile that hit the sign-in wall. Any real answer (even a 404) means the wall
+ * is gone; rate limits and network errors keep the origin paused.
+ * @param {string} origin Hostname of the GitHub instance.
+ * @param {boolean} [force] Skip AUTH_PROBE_INTERVAL, e.g. when a tab of the origin just loaded.
+ */
+async function probeAuth(origin, force = false) {
+  const state = authRequired[origin];
+  const probe = authProbes[origin] || (authProbes[origin] = { lastProbe: 0, inFlight: false });
+  if (!state || probe.inFlight) return;
+  if (!force && Date.now() - probe.lastProbe < AUTH_PROBE_INTERVAL) return;
+
+  probe.inFlight = true;
+  probe.lastProbe = Date.now();
+  try {
+    await fetchDisplayNameFromProfile(origin, state.probeLogin);
+    await clearAuthRequired(origin);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      await clearAuthRequired(origin);
+    } else {
+      console.log("Sign-in still required for", origin, ":", err.message);
+    }
+  } finally {
+    probe.inFlight = false;
+  }
+}
+
+// --- Messages & Cache Update ---
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === "resolveNames") {
+    resolveNames(message.origin, message.usernames || [], sender && sender.tab ? sender.tab.id : undefined)
+      .then((names) => sendResponse({ names }))
+      .catch((err) => {
+        console.error("Error resolving names:", err);
+        sendResponse({ names: {}, error: err.toString() });
+      });
+    // Indicate that we'll send a response asynchronously.
+    return true;
   } else if (message.type === "releaseLock") {
-    updateCache(message.origin, message.username, message.displayName)
-      .then(() => {
-        const key = message.origin + message.username;
-        delete nameLocks[key];
-        sendResponse({ success: true });
-      })
+    // A tab whose lookup failed (content.js's flushBatchedLookups). The lease is released once no
+    // other tab is waiting on it, and the error is recorded on the login's cache entry; as a
+    // transient failure it never replaces a name already known.
+    const error = message.error || "Released by tab";
+    const lease = nameLocks[message.origin + message.username];
+    if (lease) {
+      const tabId = sender && sender.tab ? sender.tab.id : undefined;
+      if (typeof tabId !== "number" || (lease.owners.delete(tabId) && lease.owners.size === 0)) {
+        releaseLock(lease, error);
+      }
+      persistNameLocks();
+    }
+    if (message.origin && GITHUB_LOGIN_REGEX.test(message.username || "")) {
+      updateCacheEntries(message.origin, {
+        [message.username]: { displayName: message.username, outcome: "network-error", error: String(error) },
+      });
+    }
+    sendResponse({ success: true });
+  } else if (message.type === "storeDisplayNames") {
+    // Batched results from elsewhere: one cache write for many logins. `source` tags where the
+    // names came from, e.g. "harvested" for names content.js read off a page.
+    const names = message.names || {};
+    const entries = {};
+    for (const username in names) {
+      entries[username] = message.source
+        ? { displayName: names[username], outcome: "resolved", source: message.source }
+        : names[username];
+    }
+    updateCacheEntries(message.origin, entries)
+      .then(() => sendResponse({ success: true }))
       .catch((err) => {
         console.error("Error updating cache:", err);
         sendResponse({ success: false, error: err.toString() });
       });
-    // Indicate that we'll send a response asynchronously.
+    return true;
+  } else if (message.type === "retryAuth") {
+    // "Retry now" on the options page.
+    probeAuth(message.origin, true)
+      .then(() => sendResponse({ authRequired: !!authRequired[message.origin] }));
+    return true;
+  } else if (message.type === "importOrgMembers") {
+    // "Import members" on the options page, one page per message.
+    importOrgMembersPage(message.origin, message.org, message.page || 1)
+      .then((result) => sendResponse(result))
+      .catch((err) => {
+        console.error("Error importing members of", message.org, "on", message.origin, ":", err);
+        sendResponse({ error: err.toString() });
+      });
     return true;
   } else if (message.type === "openOptionsPage") {
     chrome.tabs.create({ url: chrome.runtime.getURL(message.url) });
@@ -199,19 +1484,53 @@ function setCache(cache) {
   });
 }
 
-async function updateCache(origin, username, displayName) {
+// Write several lookup results for one origin in a single cache update. Values are either a
+// display name (recorded as "resolved") or a { displayName, outcome } result, optionally with
+// the `extractor` or `source` it came from. Names from a tagged source (harvested from a page,
+// imported from an org listing) never replace a pinned entry.
+async function updateCacheEntries(origin, names) {
   cacheLock = cacheLock.then(async () => {
     const cache = await getCache();
     const serverCache = cache[origin] || {};
-    const existingEntry = serverCache[username];
-    let noExpireValue = false;
-    if (existingEntry && existingEntry.noExpire === true) {
-      noExpireValue = true;
+    const now = Date.now();
+    for (const username in names) {
+      const value = names[username];
+      const result = typeof value === "string" ? { displayName: value, outcome: "resolved" } : value;
+      const existingEntry = serverCache[username];
+      // A transient failure must not replace a name we already know.
+      if (existingEntry && TRANSIENT_OUTCOMES.includes(result.outcome) && isPositiveOutcome(getEntryOutcome(existingEntry))) {
+        continue;
+      }
+      if (existingEntry && existingEntry.noExpire && result.source) {
+        continue;
+      }
+      let noExpireValue = false;
+      if (existingEntry && existingEntry.noExpire === true) {
+        noExpireValue = true;
+      }
+      serverCache[username] = { displayName: result.displayName, timestamp: now, noExpire: noExpireValue, outcome: result.outcome };
+      // Chosen on the options page to tell apart people with the same name; kept across refreshes.
+      if (existingEntry && existingEntry.disambiguator) {
+        serverCache[username].disambiguator = existingEntry.disambiguator;
+      }
+      // Members of an imported organization stay, however large it is (see importOrgMembersPage).
+      if ((existingEntry && existingEntry.imported) || (importingMembers[origin] && importingMembers[origin].has(username))) {
+        serverCache[username].imported = true;
+      }
+      if (result.extractor) {
+        serverCache[username].extractor = result.extractor;
+      }
+      if (result.source) {
+        serverCache[username].source = result.source;
+      }
+      // Why a failed lookup failed, shown on the options page
+      if (result.error) {
+        serverCache[username].error = result.error;
+      }
     }
-    serverCache[username] = { displayName, timestamp: Date.now(), noExpire: noExpireValue };
 
-    // If cache exceeds cap, evict oldest non noExpire entries.
-    const keys = Object.keys(serverCache);
+    // If cache exceeds cap, evict oldest non noExpire entries. Imported members are left out of both.
+    const keys = Object.keys(serverCache).filter(k => !serverCache[k].imported);
     if (keys.length > MAX_CACHE_ENTRIES_PER_ORIGIN) {
       const evictionCandidates = keys
         .map(k => ({ k, ts: serverCache[k].timestamp, noExpire: serverCache[k].noExpire }))
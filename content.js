@@ -3,6 +3,16 @@
   // Global Variables & Cache Setup
   // ------------------------------
 
+  // background.js injects this script on every page load and toolbar click. The first run in a
+  // page registers itself here; later runs hand over to it instead of adding another observer.
+  const INSTANCE_KEY = "__githubUnveiler";
+  if (window[INSTANCE_KEY]) {
+    window[INSTANCE_KEY].rescan();
+    return;
+  }
+  window[INSTANCE_KEY] = { rescan, teardown };
+  const pageListeners = new AbortController(); // Aborted by teardown() to drop every page listener
+
   // ------------------------------
   // Utility Functions
   // ------------------------------
@@ -36,9 +46,47 @@
   // Global Variables & Cache Setup
   // ------------------------------
   const PROCESSED_MARKER = "data-ghu-processed";
+  const ADDED_MARKER = "data-ghu-added"; // On elements we added to GitHub's markup, removed by teardown()
+  const LOGIN_ATTRIBUTE = "data-ghu-login"; // On every element whose text we replaced; its logins, space-separated
+  const ORIGINAL_ALT_ATTRIBUTE = "data-ghu-original-alt";
+  const REPLACED_ALT_ATTRIBUTE = "data-ghu-replaced-alt";
   const CACHE_KEY = "githubDisplayNameCache";
+  const SETTINGS_KEY = "githubUnveilerSettings";
   const displayNames = {}; // username => fetched display name
   const elementsByUsername = {}; // username => array of update callbacks
+  const replacedElements = {}; // username => Map of element => { context, text } it now shows
+  const replacedTexts = new WeakMap(); // text node => { original, text, names } for text we rewrote
+  const loginsByName = {}; // lower-cased display name => Set of lower-cased logins with it on this origin
+  const indexedNames = {}; // lower-cased login => its key in loginsByName
+  const disambiguators = {}; // username => suffix chosen on the options page for a shared name
+  const knownNames = {}; // username => real name, from the origin's cache and this page (mention box)
+  const ONE_DAY = 24 * 60 * 60 * 1000;
+  const REFRESH_WINDOW = ONE_DAY; // Matches background.js: entries this close to expiry get refreshed
+  // TTLs of the cache outcomes that hold a real answer (see OUTCOME_TTLS in background.js).
+  // Entries with any other outcome record a failed lookup and are always handed to the background.
+  const NAME_TTLS = { "resolved": 7 * ONE_DAY, "no-name": 3 * ONE_DAY };
+
+  const DEFAULT_NAME_FORMAT = "{name}";
+  let nameFormat = DEFAULT_NAME_FORMAT; // This origin's template from "Name Format" on the options page
+  // How much of a name to show, per context: "dense" (project boards, grid cells) or "prose" (links, hovercards).
+  // One of "full", "first", "initials", "first-last-initial" or "shortest-unique".
+  const shortNameModes = { dense: "full", prose: "full" };
+  // What a copied name becomes in text/plain: "login" (@login), "name" (as shown) or "name-login".
+  let copyFormat = "login";
+
+  const settingsLoaded = new Promise((resolve) => {
+    chrome.storage.local.get([SETTINGS_KEY], (result) => {
+      const settings = (result && result[SETTINGS_KEY]) || {};
+      const formats = settings.nameFormats || {};
+      nameFormat = formats[location.hostname] || DEFAULT_NAME_FORMAT;
+      Object.assign(shortNameModes, settings.shortNames);
+      copyFormat = settings.copyFormat || copyFormat;
+      resolve(settings);
+    });
+  });
+
+  // Passive learning ("Learn names from pages I visit" on the options page) is on unless turned off.
+  const harvestEnabled = settingsLoaded.then((settings) => settings.passiveHarvest !== false);
 
   // Helper: Get the cache from chrome.storage.local.
   function getCache() {
@@ -49,6 +97,133 @@
     });
   }
 
+  // Index every cached name of this origin once, so a name shared with someone who isn't on this
+  // page is still told apart.
+  function indexCachedNames(cache) {
+    const serverCache = cache[location.hostname] || {};
+    for (const username in serverCache) {
+      const entry = serverCache[username];
+      if (entry.disambiguator) {
+        disambiguators[username] = entry.disambiguator;
+      }
+      if (NAME_TTLS[entry.outcome || "resolved"]) {
+        indexName(username, entry.displayName);
+      }
+    }
+  }
+  const cacheIndexed = getCache().then(indexCachedNames);
+
+  /**
+   * Add a user's name to loginsByName. Returns the other logins that already had the name, or
+   * had the user's previous name, or an empty array if nothing changed.
+   */
+  function indexName(username, name) {
+    if (!name || name === username) return [];
+    knownNames[username] = name;
+    const login = username.toLowerCase();
+    const key = name.trim().toLowerCase();
+    if (indexedNames[login] === key) return [];
+    const affected = [];
+    if (indexedNames[login] !== undefined) {
+      const previous = loginsByName[indexedNames[login]]; // Renamed
+      previous.delete(login);
+      affected.push(...previous);
+    }
+    indexedNames[login] = key;
+    const logins = loginsByName[key] || (loginsByName[key] = new Set());
+    logins.add(login);
+    return affected.concat(Array.from(logins).filter((other) => other !== login));
+  }
+
+  function isSharedName(username, name) {
+    const logins = loginsByName[name.trim().toLowerCase()];
+    return !!logins && Array.from(logins).some((login) => login !== username.toLowerCase());
+  }
+
+  // " (login)" or the chosen disambiguator after a name someone else on this origin also has.
+  // Templates that already show the login need no suffix unless a disambiguator was chosen.
+  function disambiguationSuffix(username, name) {
+    if (!isSharedName(username, name)) return "";
+    if (disambiguators[username]) return ` (${disambiguators[username]})`;
+    return nameFormat.includes("{login}") ? "" : ` (${username})`;
+  }
+
+  function shortenName(name, mode) {
+    const words = name.trim().split(/\s+/);
+    switch (mode) {
+      case "first":
+        return words[0];
+      case "initials":
+        return words.map((word) => word.charAt(0).toUpperCase()).join("");
+      case "first-last-initial":
+        return words.length > 1 ? `${words[0]} ${words[words.length - 1].charAt(0)}.` : words[0];
+      default:
+        return name;
+    }
+  }
+
+  // Whether another user on this page, with a different name, shortens to the same text.
+  function isShortNameTaken(username, name, mode, text) {
+    return Object.keys(displayNames).some((other) => {
+      const otherName = displayNames[other];
+      return other !== username && otherName !== other && otherName !== name &&
+        shortenName(otherName, mode) === text;
+    });
+  }
+
+  /**
+   * The part of a name shown in `context`. A short form another user on the page would also get
+   * falls back to the full name; "shortest-unique" first tries the first name, then "First L.".
+   */
+  function shortName(username, name, context) {
+    const mode = shortNameModes[context] || "full";
+    if (mode === "full") return name;
+    const candidates = mode === "shortest-unique" ? ["first", "first-last-initial"] : [mode];
+    for (const candidate of candidates) {
+      const text = shortenName(name, candidate);
+      if (!isShortNameTaken(username, name, candidate, text)) return text;
+    }
+    return name;
+  }
+
+  function usesShortNames() {
+    return Object.values(shortNameModes).some((mode) => mode !== "full");
+  }
+
+  /**
+   * Renders a display name with the origin's format template. Placeholders: {name} (shortened
+   * for `context`), {login}, {first}, {last} and {lastInitial}. A placeholder with nothing to fill
+   * in drops a "." right after it, so "{first} {lastInitial}." shows a one-word name as is.
+   * Names shared with another login get a disambiguation suffix.
+   * A login without a known name is returned unchanged.
+   */
+  function formatDisplayName(username, name, context = "prose") {
+    if (!name || name === username) return username;
+    const words = name.trim().split(/\s+/);
+    const last = words.length > 1 ? words[words.length - 1] : "";
+    const values = {
+      name: shortName(username, name, context),
+      login: username,
+      first: words[0],
+      last,
+      lastInitial: last.charAt(0),
+    };
+    const formatted = nameFormat
+      .replace(/\{(\w+)\}(\.?)/g, (match, key, dot) => {
+        if (!(key in values)) return match;
+        return values[key] ? values[key] + dot : "";
+      })
+      .replace(/\s+/g, " ")
+      .trim();
+    return (formatted || name) + disambiguationSuffix(username, name);
+  }
+
+  // What replaces "@login" (mentions, avatar alt text). Templates that show the login themselves drop the "@".
+  function formatMention(username, name, context = "prose") {
+    const text = formatDisplayName(username, name, context);
+    return text === username || !nameFormat.includes("{login}") ? `@${text}` : text;
+  }
+
   function processBoardGroupHeader(root) {
     if (!(root instanceof Element)) return;
 
@@ -148,10 +323,8 @@
       }
 
       const processUpdate = (userData) => { // Changed parameter name
-        if (avatarImg.alt !== `@${userData}`) {
-          avatarImg.alt = `@${userData}`;
-        }
-        updateTextNodes(usernameTextSpan, username, userData);
+        setAvatarAlt(avatarImg, formatMention(username, userData));
+        updateTextNodes(usernameTextSpan, username, userData, "dense");
 
         tooltipSpans.forEach((tooltipSpan) => {
           // Replace username in tooltip text. Be careful with case sensitivity if needed.
@@ -163,11 +336,14 @@
           const regex = new RegExp(escapedUsername, "gi"); // 'g' for global, 'i' for case-insensitive
 
           // Only update if the username is actually found (avoids issues if structure changes)
-          if (tooltipSpan.textContent.match(regex)) {
-            tooltipSpan.textContent = tooltipSpan.textContent.replace(
-              regex,
-              userData
-            );
+          const text = formatDisplayName(username, userData, "dense");
+          let replaced = false;
+          textNodesIn(tooltipSpan).forEach((node) => {
+            if (replaceLogin(node, username, regex, () => text)) replaced = true;
+          });
+          if (replaced) {
+            markNameOwner(tooltipSpan, username);
+            trackReplacement(username, tooltipSpan, "dense", text);
           }
         });
 
@@ -273,13 +449,11 @@
               ? img.alt.replace("@", "").trim()
               : null;
             if (originalAlt === username) {
-              if (img.alt !== `@${userData}`) {
-                img.alt = `@${userData}`;
-              }
+              setAvatarAlt(img, formatMention(username, userData));
             }
           });
           // Update the text in the usernamesTextSpan
-          updateTextNodes(usernamesTextSpan, username, userData);
+          updateTextNodes(usernamesTextSpan, username, userData, "dense");
         };
 
         if (displayNames[username]) {
@@ -326,27 +500,215 @@
     });
   }
 
+  // Remember where a username's display name was written and as what, so it can be updated in place.
+  function trackReplacement(username, element, context, text) {
+    if (!replacedElements[username]) {
+      replacedElements[username] = new Map();
+    }
+    replacedElements[username].set(element, { context, text });
+  }
+
+  /**
+   * Bring everything written for this username in line with its current name, e.g. after a
+   * rename or when a short name starts colliding with someone else's on the page.
+   */
+  function refreshDisplayedText(username) {
+    const elements = replacedElements[username];
+    if (!elements) return;
+    // Our text is set aside while the originals are shown; catch up once they're hidden again.
+    if (showingOriginals) {
+      refreshAfterOriginals.add(username);
+      return;
+    }
+    const name = displayNames[username] || username;
+    elements.forEach((shown, element) => {
+      if (!element.isConnected) {
+        elements.delete(element);
+        return;
+      }
+      // Still showing the login: rewrite it like a first lookup, so "@login" keeps its mention form.
+      if (shown.text === username) {
+        updateTextNodes(element, username, name, shown.context);
+        return;
+      }
+      const text = formatDisplayName(username, name, shown.context);
+      if (text === shown.text) return;
+      ownTextNodesIn(element).forEach((node) => {
+        const record = replacedTexts.get(node);
+        if (!record.names.some((run) => run.username === username)) return;
+        const rewritten = rewriteRuns(record, (between) => between, (run) => (run.username === username
+          ? { ...run, text: run.text.split(shown.text).join(text) }
+          : run));
+        setReplacedText(node, rewritten.text, rewritten.names);
+      });
+      shown.text = text;
+    });
+  }
+
+  /**
+   * Record a user's name. Names already shown for other users are re-checked first, so one that
+   * now collides (a short name, or the same full name) is lengthened before the new name is
+   * written next to it. One that shared the user's previous name loses its suffix.
+   */
+  function setDisplayName(username, name) {
+    displayNames[username] = name;
+    if (name === username) return;
+    const affected = indexName(username, name);
+    for (const other in replacedElements) {
+      if (other !== username && (usesShortNames() || affected.includes(other.toLowerCase()))) {
+        refreshDisplayedText(other);
+      }
+    }
+  }
+
+  /**
+   * Show the user's current name everywhere it was written, including the alt text of their
+   * avatars. Used when the background script reports a renamed user.
+   */
+  function renameDisplayedText(username) {
+    refreshDisplayedText(username);
+    document.querySelectorAll(`img[${ORIGINAL_ALT_ATTRIBUTE}]`).forEach((img) => {
+      if (img.getAttribute(ORIGINAL_ALT_ATTRIBUTE).replace("@", "").trim() === username) {
+        setAvatarAlt(img, formatMention(username, displayNames[username]));
+      }
+    });
+  }
+
+  // Apply names refreshed by the background script to text that is already on the page.
+  function applyUpdatedNames(names) {
+    for (const username in names) {
+      const oldName = displayNames[username];
+      const newName = names[username];
+      if (!oldName || !newName || oldName === newName) continue;
+      setDisplayName(username, newName);
+      renameDisplayedText(username);
+    }
+  }
+
+  // ------------------------------
+  // Passive Harvesting
+  // ------------------------------
+
+  const harvestedNames = {}; // username => name already sent to the background
+
+  /**
+   * Learn names GitHub already rendered (hovercards, profile pages) without a lookup of their
+   * own. They go to the background cache tagged "harvested" and are shown straight away, unless
+   * the user pinned a name for that login on the options page.
+   */
+  async function harvestNames(names) {
+    const learned = {};
+    for (const username in names) {
+      const name = (names[username] || "").trim();
+      if (!isValidUsername(username) || isBotUsername(username) || !name || name === username) continue;
+      if (harvestedNames[username] === name) continue;
+      learned[username] = name;
+    }
+    if (Object.keys(learned).length === 0 || !(await harvestEnabled)) return;
+
+    Object.assign(harvestedNames, learned);
+    chrome.runtime.sendMessage(
+      { type: "storeDisplayNames", origin: location.hostname, names: learned, source: "harvested" },
+      () => void chrome.runtime.lastError
+    );
+    const serverCache = (await getCache())[location.hostname] || {};
+    for (const username in learned) {
+      if (serverCache[username] && serverCache[username].noExpire) continue;
+      if (displayNames[username]) {
+        applyUpdatedNames({ [username]: learned[username] });
+      } else {
+        setDisplayName(username, learned[username]);
+        updateElements(username);
+      }
+    }
+  }
+
+  // The hovercard links both the name and the login to the profile; the name is the link whose
+  // text isn't the login. Links we already rewrote are skipped: their text is ours.
+  function readHovercardName(hovercardElement, username) {
+    const login = username.toLowerCase();
+    for (const link of hovercardElement.querySelectorAll("a[href]")) {
+      if (link.hasAttribute(PROCESSED_MARKER)) continue;
+      let path;
+      try {
+        path = new URL(link.getAttribute("href"), location.origin).pathname.toLowerCase();
+      } catch (e) {
+        continue;
+      }
+      const text = link.textContent.trim();
+      if (path === "/" + login && text && text.toLowerCase() !== login && text.toLowerCase() !== "@" + login) {
+        return text;
+      }
+    }
+    return null;
+  }
+
+  // On a profile page the name sits in the vcard (itemprop="name" on older layouts).
+  function harvestFromProfilePage() {
+    const nameElement = document.querySelector('.vcard-fullname, .h-card [itemprop="name"]');
+    if (!nameElement) return;
+    const loginMeta = document.querySelector('meta[property="profile:username"]');
+    const usernameElement = document.querySelector('.vcard-username, .h-card [itemprop="additionalName"]');
+    const username = loginMeta ? loginMeta.content : usernameElement && usernameElement.textContent.trim();
+    if (username) {
+      harvestNames({ [username]: nameElement.textContent });
+    }
+  }
+
+  // Keys under which GitHub's React payloads put a user's display name next to `login`.
+  const EMBEDDED_NAME_KEYS = ["name", "displayName", "profileName"];
+  const harvestedPayloads = new WeakSet(); // embeddedData scripts already read
+
+  // Collect login => name pairs from a React payload (issues, pull request files view, Projects).
+  function collectEmbeddedNames(value, names, depth = 0) {
+    if (!value || typeof value !== "object" || depth > 30) return;
+    const isOrganization = value.__typename === "Organization" || value.type === "Organization";
+    if (typeof value.login === "string" && !isOrganization) {
+      for (const key of EMBEDDED_NAME_KEYS) {
+        const name = typeof value[key] === "string" ? value[key].trim() : "";
+        if (name && name !== value.login) {
+          names[value.login] = name;
+          break;
+        }
+      }
+    }
+    for (const key in value) {
+      collectEmbeddedNames(value[key], names, depth + 1);
+    }
+  }
+
+  // Pre-seed names from `<script data-target="react-app.embeddedData">` (and react-partial) blobs.
+  function harvestEmbeddedData() {
+    const names = {};
+    document.querySelectorAll('script[type="application/json"][data-target$=".embeddedData"]').forEach((script) => {
+      if (harvestedPayloads.has(script)) return;
+      harvestedPayloads.add(script);
+      try {
+        collectEmbeddedNames(JSON.parse(script.textContent), names);
+      } catch (e) {
+        console.warn("Could not parse embedded data payload:", e);
+      }
+    });
+    harvestNames(names);
+  }
+
   /**
    * Walk all text nodes under `element`, replace @username or username tokens
-   * with the userData—but skip any node that already contains the full userData.
+   * with the formatted name—but skip any node that already contains it.
+   * The text nodes are rewritten in place (see setReplacedText) and `element` is titled "@login".
    */
-  function updateTextNodes(element, username, name) { // displayName parameter changed to name
+  function updateTextNodes(element, username, name, context = "prose") { // displayName parameter changed to name
+    const text = formatDisplayName(username, name, context);
+    const mention = formatMention(username, name, context);
     // Escape special regex chars in the username
     const escapedUsername = username.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
     // Match standalone @username or username (doesn't run inside other words)
     const regex = new RegExp(`(?<!\\w)@?${escapedUsername}(?!\\w)`, "g");
 
-    const walker = document.createTreeWalker(
-      element,
-      NodeFilter.SHOW_TEXT,
-      null,
-      false
-    );
-    let node;
     let changed = false;
-    while ((node = walker.nextNode())) {
+    for (const node of textNodesIn(element)) {
       // If we've already inserted the full name here, skip it
-      if (node.textContent.includes(name)) { // check against name
+      if (!isOwnText(node) && node.textContent.includes(text)) { // check against the formatted name
         // If the display name is already present, we assume it's fully correct.
         // This is simpler and might be more robust for cases like TBBle.
         // However, this means if a username token still exists that *should* be replaced,
@@ -356,18 +718,419 @@
         // on the same text that already contains the final display name.
         continue;
       }
-
-      const updated = node.textContent.replace(regex, (match) =>
-        match.startsWith("@") ? `@${name}` : name // use name
-      );
-      if (updated !== node.textContent) {
-        node.textContent = updated;
+      if (replaceLogin(node, username, regex, (match) => (match.startsWith("@") ? mention : text))) {
         changed = true;
       }
     }
+    if (changed) {
+      markNameOwner(element, username);
+    }
+    // Also track elements left showing the login (a failed or paused lookup), so a name that
+    // arrives later through namesUpdated can replace it in place.
+    if (changed || name === username) {
+      trackReplacement(username, element, context, text);
+    }
     return changed;
   }
 
+  /**
+   * Write `username`'s name over the logins `regex` finds in a text node. A node we already
+   * rewrote for someone else (a grid cell listing "alice, bob") keeps their names: only the text
+   * between them is searched, and the names stay in text order for copying.
+   * @returns {boolean} Whether anything was replaced.
+   */
+  function replaceLogin(node, username, regex, replacementFor) {
+    const record = isOwnText(node) ? replacedTexts.get(node) : { text: node.nodeValue, names: [] };
+    if (record.names.some((run) => run.username === username)) return false; // Already named here
+    let added = 0;
+    const rewritten = rewriteRuns(record, (between, names) => between.replace(regex, (match) => {
+      const replacement = replacementFor(match);
+      if (replacement === match) return match;
+      names.push({ username, text: replacement });
+      added++;
+      return replacement;
+    }), (run) => run);
+    if (added === 0) return false;
+    setReplacedText(node, rewritten.text, rewritten.names);
+    return true;
+  }
+
+  // Rebuilds a text node's content run by run: `between` rewrites the text around the names we
+  // wrote (and may add names of its own), `named` each name we wrote.
+  function rewriteRuns(record, between, named) {
+    const names = [];
+    let text = "";
+    let cursor = 0;
+    for (const run of record.names) {
+      const index = record.text.indexOf(run.text, cursor);
+      if (index === -1) continue;
+      text += between(record.text.slice(cursor, index), names);
+      const kept = named(run);
+      names.push(kept);
+      text += kept.text;
+      cursor = index + run.text.length;
+    }
+    text += between(record.text.slice(cursor), names);
+    return { text, names };
+  }
+
+  // The logins whose names an element shows, in the order they were written.
+  function namedLogins(element) {
+    return (element.getAttribute(LOGIN_ATTRIBUTE) || "").split(" ").filter(Boolean);
+  }
+
+  function loginsTitle(logins) {
+    return logins.map((login) => `@${login}`).join(", ");
+  }
+
+  // Hovering an element we renamed shows "@login" for everyone named in it, and the logins stay
+  // readable from the DOM. A title GitHub set is kept.
+  function markNameOwner(element, username) {
+    const logins = namedLogins(element);
+    if (logins.includes(username)) return;
+    const ownTitle = !element.title || element.title === loginsTitle(logins);
+    logins.push(username);
+    element.setAttribute(LOGIN_ATTRIBUTE, logins.join(" "));
+    if (ownTitle) {
+      element.title = loginsTitle(logins);
+    }
+  }
+
+  function textNodesIn(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    let node;
+    while ((node = walker.nextNode())) {
+      nodes.push(node);
+    }
+    return nodes;
+  }
+
+  // ------------------------------
+  // Original Usernames (toggle and peek)
+  // ------------------------------
+
+  const PEEK_KEY = "Alt"; // Held down, shows the original usernames until released
+  let originalsToggled = false; // Switched by the keyboard shortcut or the toolbar button's menu
+  let peeking = false;
+  let showingOriginals = false;
+  const refreshAfterOriginals = new Set(); // usernames renamed while the originals were shown
+
+  /**
+   * Write `text` into a text node, remembering what GitHub rendered there first. The node itself
+   * stays: React keeps a reference to it and writes its own updates there, so replacing it would
+   * leave React updating a detached node. `names` lists the names the text now shows, for copying.
+   */
+  function setReplacedText(node, text, names) {
+    let record = replacedTexts.get(node);
+    if (!record || !isOwnText(node)) {
+      record = { original: node.nodeValue };
+      replacedTexts.set(node, record);
+    }
+    record.text = text;
+    record.names = names;
+    if (!showingOriginals && node.nodeValue !== text) {
+      node.nodeValue = text;
+    }
+  }
+
+  // Whether a text node still holds what we wrote (or the original we put back); anything else
+  // was written by the page since.
+  function isOwnText(node) {
+    const record = replacedTexts.get(node);
+    return !!record && node.nodeValue === (showingOriginals ? record.original : record.text);
+  }
+
+  // The text nodes under `root` we rewrote and that still hold our text, in document order.
+  function ownTextNodesIn(root) {
+    const owners = root.closest(`[${LOGIN_ATTRIBUTE}]`) ? [root] : root.querySelectorAll(`[${LOGIN_ATTRIBUTE}]`);
+    const nodes = new Set(); // name owners can be nested
+    owners.forEach((owner) => {
+      textNodesIn(owner).filter(isOwnText).forEach((node) => nodes.add(node));
+    });
+    return nodes;
+  }
+
+  function setAvatarAlt(img, alt) {
+    if (!img.hasAttribute(ORIGINAL_ALT_ATTRIBUTE)) {
+      img.setAttribute(ORIGINAL_ALT_ATTRIBUTE, img.alt);
+    }
+    if (showingOriginals) {
+      img.setAttribute(REPLACED_ALT_ATTRIBUTE, alt);
+    } else if (img.alt !== alt) {
+      img.alt = alt;
+    }
+  }
+
+  // Swap every recorded original back in (or our text back out) without reprocessing the page.
+  function showOriginals(show) {
+    if (show === showingOriginals) return;
+    const nodes = ownTextNodesIn(document.body); // before the switch, while they still match it
+    showingOriginals = show;
+    nodes.forEach((node) => {
+      const record = replacedTexts.get(node);
+      node.nodeValue = show ? record.original : record.text;
+    });
+    document.querySelectorAll(`img[${ORIGINAL_ALT_ATTRIBUTE}]`).forEach((img) => {
+      if (show) {
+        img.setAttribute(REPLACED_ALT_ATTRIBUTE, img.alt);
+        img.alt = img.getAttribute(ORIGINAL_ALT_ATTRIBUTE);
+      } else if (img.hasAttribute(REPLACED_ALT_ATTRIBUTE)) {
+        img.alt = img.getAttribute(REPLACED_ALT_ATTRIBUTE);
+        img.removeAttribute(REPLACED_ALT_ATTRIBUTE);
+      }
+    });
+    if (!show) {
+      refreshAfterOriginals.forEach(refreshDisplayedText);
+      refreshAfterOriginals.clear();
+    }
+  }
+
+  function updateOriginalsShown() {
+    showOriginals(originalsToggled || peeking);
+  }
+
+  // Where Alt types (macOS Option makes accented characters) rather than peeks.
+  const EDITABLE_SELECTOR = 'input, textarea, select, [contenteditable]:not([contenteditable="false"])';
+
+  function isEditable(target) {
+    return target instanceof Element && !!target.closest(EDITABLE_SELECTOR);
+  }
+
+  document.addEventListener("keydown", (event) => {
+    if (event.key !== PEEK_KEY) {
+      // Alt is part of a shortcut or a typed character, not a peek
+      if (peeking) {
+        peeking = false;
+        updateOriginalsShown();
+      }
+      return;
+    }
+    if (event.repeat || event.ctrlKey || event.metaKey || event.shiftKey || isEditable(event.target)) return;
+    peeking = true;
+    updateOriginalsShown();
+  }, { signal: pageListeners.signal });
+  document.addEventListener("keyup", (event) => {
+    if (event.key === PEEK_KEY) {
+      peeking = false;
+      updateOriginalsShown();
+    }
+  }, { signal: pageListeners.signal });
+  // The key may be released in another window.
+  window.addEventListener("blur", () => {
+    peeking = false;
+    updateOriginalsShown();
+  }, { signal: pageListeners.signal });
+
+  // ------------------------------
+  // Copying Replaced Names
+  // ------------------------------
+
+  function copiedName(username) {
+    if (copyFormat === "name-login") {
+      const name = displayNames[username];
+      return name && name !== username ? `${name} (@${username})` : `@${username}`;
+    }
+    return `@${username}`;
+  }
+
+  /**
+   * The selection as text/plain with our names mapped back per copyFormat, or null if it has none.
+   * Names are swapped in the browser's own serialization, in document order, so line breaks survive;
+   * a name only partly selected is left as it is.
+   */
+  function mapCopiedNames(selection) {
+    const names = [];
+    for (let i = 0; i < selection.rangeCount; i++) {
+      const range = selection.getRangeAt(i);
+      let root = range.commonAncestorContainer;
+      if (root.nodeType !== Node.ELEMENT_NODE) root = root.parentElement;
+      if (!root) continue;
+      ownTextNodesIn(root).forEach((node) => {
+        if (range.intersectsNode(node)) names.push(...replacedTexts.get(node).names);
+      });
+    }
+    if (names.length === 0) return null;
+
+    let text = selection.toString();
+    let cursor = 0;
+    for (const name of names) {
+      const index = text.indexOf(name.text, cursor);
+      if (index === -1) continue;
+      const replacement = copiedName(name.username);
+      text = text.slice(0, index) + replacement + text.slice(index + name.text.length);
+      cursor = index + replacement.length;
+    }
+    return text;
+  }
+
+  document.addEventListener("copy", (event) => {
+    // Logins are already on screen while the originals are shown.
+    if (copyFormat === "name" || showingOriginals || !event.clipboardData) return;
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed) return;
+    const text = mapCopiedNames(selection);
+    if (text === null) return;
+    event.clipboardData.setData("text/plain", text);
+    event.preventDefault();
+  }, { signal: pageListeners.signal });
+
+  // ------------------------------
+  // Mention Box
+  // ------------------------------
+
+  const MENTION_MARKER = "data-ghu-mentions"; // On text-expander elements we listen to
+  const MAX_MENTION_SUGGESTIONS = 8;
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  /**
+   * People in the origin's cache whose display name contains `query`, as a suggestion list in
+   * GitHub's markup. text-expander inserts the data-value of the chosen item, i.e. the login.
+   */
+  async function suggestMentions(query) {
+    const serverCache = (await getCache())[location.hostname] || {};
+    const needle = query.toLowerCase();
+    const matches = [];
+    for (const username in serverCache) {
+      const entry = serverCache[username];
+      const name = entry.displayName;
+      if (!NAME_TTLS[entry.outcome || "resolved"] || !name || name === username) continue;
+      const index = name.toLowerCase().indexOf(needle);
+      if (index !== -1) {
+        matches.push({ username, name, index });
+      }
+    }
+    // Names starting with the query first
+    matches.sort((a, b) => (a.index === 0 ? 0 : 1) - (b.index === 0 ? 0 : 1) || a.name.localeCompare(b.name));
+    if (matches.length === 0) return { matched: false };
+
+    const list = document.createElement("ul");
+    list.setAttribute("role", "listbox");
+    list.className = "suggester-container suggester";
+    matches.slice(0, MAX_MENTION_SUGGESTIONS).forEach(({ username, name }) => {
+      const item = document.createElement("li");
+      item.setAttribute("role", "option");
+      item.id = `ghu-mention-${username}`;
+      item.dataset.value = username;
+      const login = document.createElement("span");
+      login.textContent = username;
+      const nameElement = document.createElement("small");
+      nameElement.textContent = name;
+      item.append(login, " ", nameElement);
+      list.appendChild(item);
+    });
+    return { matched: true, fragment: list };
+  }
+
+  /**
+   * Listen on each "@" text-expander for queries GitHub's own suggester can't answer. Listeners
+   * on the element run after GitHub's, and text-expander shows the first list that matched.
+   */
+  function enhanceMentionBoxes(root) {
+    if (!(root instanceof Element)) return;
+    const expanders = Array.from(root.querySelectorAll("text-expander"));
+    if (root.matches("text-expander")) expanders.push(root);
+    expanders.forEach((expander) => {
+      if (expander.hasAttribute(MENTION_MARKER) || !(expander.getAttribute("keys") || "").split(" ").includes("@")) return;
+      expander.setAttribute(MENTION_MARKER, "true");
+      expander.addEventListener("text-expander-change", (event) => {
+        const { key, text, provide } = event.detail || {};
+        if (key === "@" && text && typeof provide === "function") {
+          provide(suggestMentions(text));
+        }
+      }, { signal: pageListeners.signal });
+    });
+  }
+
+  // Add the cached name to items of GitHub's suggestion list that show only a login.
+  function annotateMentionSuggestions(root) {
+    if (!(root instanceof Element)) return;
+    root.querySelectorAll('text-expander [role="option"][data-value]').forEach((item) => {
+      if (item.hasAttribute(PROCESSED_MARKER)) return;
+      item.setAttribute(PROCESSED_MARKER, "true");
+      const name = knownNames[item.dataset.value];
+      if (!name || item.textContent.includes(name)) return;
+      const nameElement = document.createElement("small");
+      nameElement.classList.add("ml-1");
+      nameElement.setAttribute(ADDED_MARKER, "true");
+      nameElement.textContent = name;
+      item.append(nameElement);
+    });
+  }
+
+  // Fenced code blocks (up to their closing fence, or the end of the text) and inline code spans.
+  const MARKDOWN_CODE = /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n {0,3}\1[`~]*[ \t]*$|(?![\s\S]))|(`+)(?!`)[\s\S]*?[^`]\2(?!`)/gm;
+
+  /**
+   * Turn "@Display Name" into "@login" for every name that belongs to exactly one login.
+   * Longer names go first, so "@Jane Doe" is not cut short by a colleague called "Jane".
+   * Names are matched as written, names that could themselves be a login ("@Alex") are left to
+   * GitHub, and code is left as typed.
+   */
+  function convertMentions(text) {
+    const loginsByKnownName = {};
+    for (const username in knownNames) {
+      const key = knownNames[username].trim();
+      (loginsByKnownName[key] = loginsByKnownName[key] || new Set()).add(username.toLowerCase());
+    }
+    const names = Object.keys(knownNames)
+      .filter((username) => {
+        const name = knownNames[username].trim();
+        return loginsByKnownName[name].size === 1 && !isValidUsername(name);
+      })
+      .sort((a, b) => knownNames[b].length - knownNames[a].length);
+    if (names.length === 0) return text;
+
+    const convertProse = (prose) => {
+      for (const username of names) {
+        const regex = new RegExp(`(^|[^\\w@])@${escapeRegExp(knownNames[username].trim())}(?![\\w-])`, "g");
+        prose = prose.replace(regex, (match, before) => `${before}@${username}`);
+      }
+      return prose;
+    };
+    let converted = "";
+    let lastIndex = 0;
+    for (const code of text.matchAll(MARKDOWN_CODE)) {
+      converted += convertProse(text.slice(lastIndex, code.index)) + code[0];
+      lastIndex = code.index + code[0].length;
+    }
+    return converted + convertProse(text.slice(lastIndex));
+  }
+
+  // React remembers the last value it wrote through the element's own `value` property and
+  // ignores an input event that doesn't differ from it; the prototype's setter goes around that.
+  const setTextareaValue = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, "value").set;
+
+  function convertTextarea(textarea) {
+    const converted = convertMentions(textarea.value);
+    if (converted !== textarea.value) {
+      setTextareaValue.call(textarea, converted);
+      textarea.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+  }
+
+  // Comment forms: convert mentions of display names just before the form is sent, whether by
+  // its button or by Ctrl/Cmd+Enter (which GitHub's React forms handle without a submit event).
+  document.addEventListener("submit", (event) => {
+    if (!(event.target instanceof HTMLFormElement)) return;
+    event.target.querySelectorAll("textarea").forEach(convertTextarea);
+  }, { capture: true, signal: pageListeners.signal });
+  document.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && (event.ctrlKey || event.metaKey) && event.target instanceof HTMLTextAreaElement) {
+      convertTextarea(event.target);
+    }
+  }, { capture: true, signal: pageListeners.signal });
+
+  // Pick up names other tabs cached since this page loaded before the user starts writing.
+  document.addEventListener("focusin", (event) => {
+    if (event.target instanceof HTMLTextAreaElement) {
+      getCache().then(indexCachedNames);
+    }
+  }, { signal: pageListeners.signal });
+
   // ------------------------------
   // Fetching & Caching Display Names
   // ------------------------------
@@ -411,6 +1174,64 @@
     return false;
   }
 
+  // ------------------------------
+  // Batched Resolution via the Background Script
+  // ------------------------------
+
+  const BATCH_WINDOW_MS = 50; // Collect logins for this long before asking the background script
+  const pendingBatch = new Set(); // logins waiting for the next flush
+  let batchTimer = null;
+
+  function queueBatchedLookup(username) {
+    pendingBatch.add(username);
+    if (!batchTimer) {
+      batchTimer = setTimeout(flushBatchedLookups, BATCH_WINDOW_MS);
+    }
+  }
+
+  /**
+   * Sends every queued login to background.js in one `resolveNames` message.
+   * The background script owns fetching, caching and de-duplication across tabs;
+   * it answers once every requested login has a name (or has fallen back to the login).
+   */
+  async function flushBatchedLookups() {
+    batchTimer = null;
+    const usernames = Array.from(pendingBatch);
+    pendingBatch.clear();
+    if (usernames.length === 0) return;
+
+    let names = {};
+    let error = null;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "resolveNames",
+        origin: location.hostname,
+        usernames,
+      });
+      names = (response && response.names) || {};
+      error = (response && response.error) || null;
+    } catch (err) {
+      console.error("Error resolving display names:", err);
+      error = err.toString();
+    }
+    // Give up the leases this tab holds, so other tabs don't wait on them, and record why.
+    if (error) {
+      usernames.forEach((username) => {
+        chrome.runtime.sendMessage(
+          { type: "releaseLock", origin: location.hostname, username, error },
+          () => void chrome.runtime.lastError
+        );
+      });
+    }
+
+    usernames.forEach((username) => {
+      // Already showing a stale cached name; a changed name arrives later as "namesUpdated".
+      if (displayNames[username]) return;
+      setDisplayName(username, names[username] || username); // Fallback to username on error
+      updateElements(username);
+    });
+  }
+
   async function fetchDisplayName(username) {
     // First, ensure username is valid and not a bot before any processing
     if (!isValidUsername(username)) { // Should have been caught earlier, but as a safeguard
@@ -433,76 +1254,26 @@
       return;
     }
     try {
+      // Names are formatted with the origin's template, and told apart, as soon as they're shown
+      await Promise.all([settingsLoaded, cacheIndexed]);
       let cache = await getCache();
       const serverCache = cache[location.hostname] || {};
       let entry = serverCache[username];
 
-      if (entry) {
+      const ttl = entry && NAME_TTLS[entry.outcome || "resolved"];
+      if (ttl) {
         // Store the full object including timestamp and noExpire
-        displayNames[username] = entry.displayName;
+        setDisplayName(username, entry.displayName);
         updateElements(username);
+        // Near or past expiry: keep showing it, but let the background script refresh it.
+        if (!entry.noExpire && Date.now() - entry.timestamp > ttl - REFRESH_WINDOW) {
+          queueBatchedLookup(username);
+        }
         return;
       }
 
-      // Request the lock from the background service.
-      const lockResponse = await chrome.runtime.sendMessage({
-        type: "acquireLock",
-        origin: location.hostname,
-        username: username,
-      });
-
-      if (lockResponse.acquired) {
-        // We have the lock—fetch the GitHub profile page.
-        const profileUrl = `https://${location.hostname}/${username}`;
-        const response = await fetch(profileUrl);
-        if (!response.ok) {
-          throw new Error("HTTP error " + response.status);
-        }
-        const html = await response.text();
-
-        // Parse the HTML using a DOMParser.
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, "text/html");
-        const el = doc.querySelector(".vcard-fullname");
-        let displayName = el ? el.textContent.trim() : username;
-
-        if (!displayName || displayName.trim() === '') {
-          displayName = username;
-        }
-
-        // Tell the background to update the cache and release the lock.
-        await chrome.runtime.sendMessage({
-          type: "releaseLock",
-          origin: location.hostname,
-          username: username,
-          displayName: displayName,
-        });
-
-        displayNames[username] = displayName;
-        updateElements(username);
-      } else {
-        // Another content script is already fetching this profile.
-        // Poll until the cache is updated.
-        const maxAttempts = 10;
-        let attempt = 0;
-        const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-        while (attempt < maxAttempts) {
-          await wait(500);
-          let cache = await getCache();
-          const serverCache = cache[location.hostname] || {};
-          let entry = serverCache[username];
-          if (entry) {
-            // Store the full object including timestamp and noExpire
-            displayNames[username] = entry.displayName;
-            updateElements(username);
-            return;
-          }
-          attempt++;
-        }
-        // Fallback if we still haven't received a display name.
-        displayNames[username] = username;
-        updateElements(username);
-      }
+      // Not cached, or a failed lookup: the background serves the login until the retry TTL is up.
+      queueBatchedLookup(username);
     } catch (err) {
       console.error("Error fetching display name for @" + username, err);
       displayNames[username] = username; // Fallback to username on error
@@ -562,6 +1333,11 @@
       return;
     }
 
+    const hovercardName = readHovercardName(hovercardElement, username);
+    if (hovercardName) {
+      harvestNames({ [username]: hovercardName });
+    }
+
     const processUpdate = (userData) => {
       // console.log("[GHU HC Debug] processUpdate called for username:", username, "with userData:", userData); // Debug log removed
       if (hovercardElement.hasAttribute(HOVERCARD_PROCESSED_MARKER)) {
@@ -573,6 +1349,7 @@
       // Removed expirationText definition and logic block
 
       const newRow = document.createElement("div");
+      newRow.setAttribute(ADDED_MARKER, "true");
       newRow.classList.add("d-flex", "flex-items-baseline", "f6", "mt-1", "color-fg-muted");
       newRow.style.cursor = "pointer";
       // Removed direct style settings for display, alignItems, marginTop, paddingTop, borderTop
@@ -592,7 +1369,11 @@
       const textContainer = document.createElement('span');
       textContainer.classList.add("lh-condensed", "overflow-hidden", "no-wrap"); // no-wrap for ellipsis
       textContainer.style.textOverflow = "ellipsis";
-      textContainer.textContent = userData; // Only display name
+      const text = formatDisplayName(username, userData);
+      textContainer.textContent = username;
+      setReplacedText(textContainer.firstChild, text, [{ username, text }]);
+      markNameOwner(textContainer, username);
+      trackReplacement(username, textContainer, "prose", text);
       
       // Clear any previous innerHTML (though newRow is fresh, good practice if refactoring)
       newRow.innerHTML = ''; 
@@ -601,7 +1382,7 @@
 
       newRow.addEventListener("click", () => {
         chrome.runtime.sendMessage({ type: "openOptionsPage", url: `options.html#${username}` });
-      });
+      }, { signal: pageListeners.signal });
       // newRow.style.cursor = "pointer"; // Already set above
 
       // Append to the correct container within the hovercard
@@ -714,10 +1495,8 @@
 
       if (usernameSpan) {
         const processUpdate = (userData) => { // Changed parameter name
-          if (avatarImg.alt !== `@${userData}`) {
-            avatarImg.alt = `@${userData}`; // Typically includes @
-          }
-          updateTextNodes(usernameSpan, username, userData);
+          setAvatarAlt(avatarImg, formatMention(username, userData)); // Typically includes @
+          updateTextNodes(usernameSpan, username, userData, "dense");
           // Mark the cell itself as processed after successful update attempt.
           // This ensures we don't re-process if the initial fetchDisplayName fails
           // and then a mutation observer picks it up again.
@@ -854,7 +1633,7 @@
 
       const processUpdate = (userData) => {
         // Update the text content
-        const updated = updateTextNodes(userElement, username, userData);
+        const updated = updateTextNodes(userElement, username, userData, "dense");
         if (updated) {
           // Mark the element as processed only if text was changed to avoid issues
           // if multiple valid usernames were somehow in the same element (unlikely).
@@ -862,9 +1641,7 @@
         }
 
         // Update avatar alt text
-        if (avatarElement.alt !== `@${userData}`) {
-          avatarElement.alt = `@${userData}`;
-        }
+        setAvatarAlt(avatarElement, formatMention(username, userData));
       };
 
       if (displayNames[username]) {
@@ -984,6 +1761,8 @@
   const DEBOUNCE_DELAY = 200; // ms
 
   function processCollectedNodes() {
+    harvestFromProfilePage(); // Soft navigation may have brought in a profile
+    harvestEmbeddedData(); // ...or a React app with its payload
     nodesToProcess.forEach(node => {
       if (node.nodeType === Node.ELEMENT_NODE) { // Ensure it's still an element node
         processAnchorsByHovercard(node);
@@ -991,6 +1770,8 @@
         processSingleUserGridCell(node);
         processMultiUserGridCell(node);
         processBoardGroupHeader(node);
+        enhanceMentionBoxes(node);
+        annotateMentionSuggestions(node);
 
         // Check for hovercards
         const hovercardSelector = 'div[data-hydro-view*="user-hovercard-hover"]';
@@ -1010,9 +1791,96 @@
     nodesToProcess.clear();
   }
 
+  function scheduleProcessing() {
+    clearTimeout(debounceTimeout);
+    debounceTimeout = setTimeout(processCollectedNodes, DEBOUNCE_DELAY);
+  }
+
+  function rescan() {
+    nodesToProcess.add(document.body);
+    scheduleProcessing();
+  }
+
+  // Put back what GitHub rendered before we replaced it, e.g. when an anchor now points at someone else.
+  function restoreOriginals(root) {
+    ownTextNodesIn(root).forEach((node) => {
+      node.nodeValue = replacedTexts.get(node).original;
+      replacedTexts.delete(node);
+    });
+    const owners = Array.from(root.querySelectorAll(`[${LOGIN_ATTRIBUTE}]`));
+    if (root.hasAttribute(LOGIN_ATTRIBUTE)) owners.push(root);
+    owners.forEach((owner) => {
+      if (owner.title === loginsTitle(namedLogins(owner))) owner.removeAttribute("title");
+      owner.removeAttribute(LOGIN_ATTRIBUTE);
+    });
+    root.querySelectorAll(`img[${ORIGINAL_ALT_ATTRIBUTE}]`).forEach((img) => {
+      img.alt = img.getAttribute(ORIGINAL_ALT_ATTRIBUTE);
+      img.removeAttribute(ORIGINAL_ALT_ATTRIBUTE);
+      img.removeAttribute(REPLACED_ALT_ATTRIBUTE);
+    });
+  }
+
+  // A processed element GitHub re-rendered in place is scanned again, along with its list item:
+  // project items keep the avatar beside the name rather than around it.
+  function requeueProcessed(element) {
+    element.removeAttribute(PROCESSED_MARKER);
+    nodesToProcess.add(element.closest("li") || element.parentElement || element);
+  }
+
+  const containsReplacedName = (node) =>
+    node.nodeType === Node.TEXT_NODE ? replacedTexts.has(node) :
+      node.nodeType === Node.ELEMENT_NODE &&
+      (node.hasAttribute(LOGIN_ATTRIBUTE) || !!node.querySelector(`[${LOGIN_ATTRIBUTE}]`));
+
+  /**
+   * React views re-render text and attributes of nodes we already processed, so the marker alone
+   * can't be trusted: a processed element whose names were removed, whose text was rewritten by
+   * the page, or whose link now points elsewhere is processed again. Our own writes leave text
+   * nodes holding what replacedTexts expects, so they don't trigger this.
+   */
+  function revalidateProcessed(mutation) {
+    const target = mutation.target;
+    if (mutation.type === "characterData") {
+      if (isOwnText(target)) return false;
+      const parent = target.parentElement;
+      const processed = parent && parent.closest(`[${PROCESSED_MARKER}]`);
+      if (!processed) return false;
+      requeueProcessed(processed);
+      return true;
+    }
+    if (mutation.type === "attributes") {
+      if (mutation.attributeName === "alt") {
+        // GitHub put the login back in an avatar we renamed
+        if (showingOriginals || !target.hasAttribute(ORIGINAL_ALT_ATTRIBUTE) ||
+          target.alt !== target.getAttribute(ORIGINAL_ALT_ATTRIBUTE)) return false;
+        target.removeAttribute(ORIGINAL_ALT_ATTRIBUTE);
+        // Project items mark the name beside the avatar, in the same list item
+        const item = target.closest("li");
+        const processed = target.closest(`[${PROCESSED_MARKER}]`) || (item && item.querySelector(`[${PROCESSED_MARKER}]`));
+        if (processed) {
+          restoreOriginals(processed); // Project items read the login from the name's text
+          requeueProcessed(processed);
+        } else {
+          nodesToProcess.add(target.parentElement || target);
+        }
+        return true;
+      }
+      if (!target.hasAttribute(PROCESSED_MARKER)) return false;
+      restoreOriginals(target);
+      requeueProcessed(target);
+      return true;
+    }
+    if (!Array.from(mutation.removedNodes).some(containsReplacedName)) return false;
+    const processed = target.closest && target.closest(`[${PROCESSED_MARKER}]`);
+    if (!processed) return false;
+    requeueProcessed(processed);
+    return true;
+  }
+
   const observer = new MutationObserver((mutations) => {
     let addedRelevantNode = false;
     for (const mutation of mutations) {
+      if (revalidateProcessed(mutation)) addedRelevantNode = true;
       mutation.addedNodes.forEach((node) => {
         if (node.nodeType === Node.ELEMENT_NODE) {
           // Add node to the set for processing.
@@ -1025,22 +1893,78 @@
     }
 
     if (addedRelevantNode) {
-      clearTimeout(debounceTimeout);
-      debounceTimeout = setTimeout(processCollectedNodes, DEBOUNCE_DELAY);
+      scheduleProcessing();
     }
   });
 
-  observer.observe(document.body, {
+  // Observe the whole document rather than the body: Turbo navigations replace <body> outright.
+  observer.observe(document.documentElement, {
     childList: true,
     subtree: true,
+    characterData: true,
+    attributes: true,
+    attributeFilter: ["alt", "href", "data-hovercard-url"],
   });
 
+  // Names refreshed in the background (stale-while-revalidate) are pushed to every open tab.
+  function handleMessage(message, sender, sendResponse) {
+    if (message && message.type === "ping") {
+      sendResponse({ pong: true }); // background.js checks for a running instance before injecting
+    } else if (message && message.type === "rescan") {
+      rescan();
+    } else if (message && message.type === "teardown" && message.origin === location.hostname) {
+      teardown(message.restore !== false);
+    } else if (message && message.type === "namesUpdated" && message.origin === location.hostname) {
+      applyUpdatedNames(message.names || {});
+    } else if (message && message.type === "toggleOriginals") {
+      originalsToggled = !originalsToggled;
+      updateOriginalsShown();
+    }
+  }
+  chrome.runtime.onMessage.addListener(handleMessage);
+
+  // Turbo and GitHub's soft navigations swap the page without a load event; rescan it once they settle.
+  const NAVIGATION_EVENTS = ["turbo:load", "turbo:render", "soft-nav:end", "pjax:end"];
+  NAVIGATION_EVENTS.forEach((type) => document.addEventListener(type, rescan, { signal: pageListeners.signal }));
+
+  /**
+   * Stop this instance for good, e.g. when the site is disabled or its permission is revoked:
+   * no more observing, lookups or listeners. With `restore`, the page goes back to what GitHub
+   * rendered. A later injection starts a fresh instance.
+   */
+  function teardown(restore = true) {
+    observer.disconnect();
+    clearTimeout(debounceTimeout);
+    nodesToProcess.clear();
+    clearTimeout(batchTimer);
+    batchTimer = null;
+    pendingBatch.clear();
+    Object.keys(elementsByUsername).forEach((username) => delete elementsByUsername[username]);
+    pageListeners.abort();
+    chrome.runtime.onMessage.removeListener(handleMessage);
+    if (restore) {
+      showOriginals(false);
+      restoreOriginals(document.body);
+      // Hovercard rows and names in GitHub's mention suggestions go...
+      document.querySelectorAll(`[${ADDED_MARKER}]`).forEach((element) => element.remove());
+      // ...and the page is left unmarked, so a later instance processes it again.
+      const markers = [PROCESSED_MARKER, MENTION_MARKER, HOVERCARD_PROCESSED_MARKER];
+      document.querySelectorAll(markers.map((marker) => `[${marker}]`).join(", ")).forEach((element) => {
+        markers.forEach((marker) => element.removeAttribute(marker));
+      });
+    }
+    delete window[INSTANCE_KEY];
+  }
+
   // Initial scan for existing hovercards on page load
   // Also perform initial scan for other elements covered by the observer's processing logic
+  harvestFromProfilePage();
+  harvestEmbeddedData();
   processAnchorsByHovercard(document.body);
   processProjectElements(document.body);
   processSingleUserGridCell(document.body);
   processMultiUserGridCell(document.body);
   processBoardGroupHeader(document.body);
+  enhanceMentionBoxes(document.body);
   document.querySelectorAll('div[data-hydro-view*="user-hovercard-hover"]').forEach(processHovercard);
 })();
@@ -1,7 +1,42 @@
 document.addEventListener('DOMContentLoaded', () => {
   const enabledDomainsList = document.getElementById('enabledDomainsList');
   const nameReplacementsBody = document.getElementById('nameReplacementsBody');
-  const SEVEN_DAYS = 7 * 24 * 60 * 60 * 1000;
+  const apiTokenForm = document.getElementById('apiTokenForm');
+  const apiTokensBody = document.getElementById('apiTokensBody');
+  const orgImportForm = document.getElementById('orgImportForm');
+  const orgImportCancel = document.getElementById('orgImportCancel');
+  const orgImportProgress = document.getElementById('orgImportProgress');
+  const orgImportStatus = document.getElementById('orgImportStatus');
+  const TOKENS_KEY = 'githubApiTokens';
+  const SETTINGS_KEY = 'githubUnveilerSettings';
+  const AUTH_STATE_KEY = 'githubAuthState';
+  const authStatusList = document.getElementById('authStatusList');
+  const DEFAULT_MAX_CONCURRENT_REQUESTS = 4; // Per request host, see scheduleFetch in background.js
+  const maxConcurrentRequestsInput = document.getElementById('maxConcurrentRequests');
+  const passiveHarvestInput = document.getElementById('passiveHarvest');
+  const nameFormatForm = document.getElementById('nameFormatForm');
+  const nameFormatsBody = document.getElementById('nameFormatsBody');
+  const NAME_FORMAT_PLACEHOLDERS = ['name', 'login', 'first', 'last', 'lastInitial'];
+  const shortNameSelects = document.querySelectorAll('select.short-name-mode');
+  const copyFormatSelect = document.getElementById('copyFormat');
+  const ONE_DAY = 24 * 60 * 60 * 1000;
+  // Mirrors OUTCOME_TTLS in background.js: how long each lookup outcome is kept before a retry.
+  const OUTCOME_TTLS = {
+    'resolved': 7 * ONE_DAY,
+    'no-name': 3 * ONE_DAY,
+    'not-found': ONE_DAY,
+    'auth-required': 60 * 60 * 1000,
+    'rate-limited': 5 * 60 * 1000,
+    'network-error': 10 * 60 * 1000,
+  };
+  const OUTCOME_LABELS = {
+    'resolved': 'Resolved',
+    'no-name': 'No name set on profile',
+    'not-found': 'User not found',
+    'auth-required': 'Sign-in or token required',
+    'rate-limited': 'Rate limited, will retry',
+    'network-error': 'Network error, will retry',
+  };
 
   function handleHashScroll() {
     if (window.location.hash) {
@@ -60,6 +95,11 @@ document.addEventListener('DOMContentLoaded', () => {
             if (origin.startsWith('http://') || origin.startsWith('https://')) {
               const listItem = document.createElement('li');
               listItem.textContent = origin;
+              const disableButton = document.createElement('button');
+              disableButton.type = 'button';
+              disableButton.textContent = 'Disable';
+              disableButton.addEventListener('click', () => disableDomain(origin));
+              listItem.appendChild(disableButton);
               enabledDomainsList.appendChild(listItem);
             }
           });
@@ -78,17 +118,452 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
-  function updateExpirationDateCell(cell, noExpire, timestamp) {
+  // Revoking the permission is enough: background.js unregisters the content script and
+  // tears down the copies still running in open tabs (permissions.onRemoved).
+  function disableDomain(origin) {
+    chrome.permissions.remove({ origins: [origin] }, removed => {
+      if (chrome.runtime.lastError) {
+        console.error('Error removing permission:', chrome.runtime.lastError.message);
+      } else if (!removed) {
+        alert(`${origin} could not be disabled.`);
+      }
+      loadEnabledDomains();
+    });
+  }
+
+  // Read-modify-write so settings saved from different controls don't overwrite each other.
+  function saveSetting(name, value, callback) {
+    chrome.storage.local.get([SETTINGS_KEY], res => {
+      const settings = (res && res[SETTINGS_KEY]) || {};
+      settings[name] = value;
+      chrome.storage.local.set({ [SETTINGS_KEY]: settings }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Error saving settings:', chrome.runtime.lastError.message);
+          if (callback) callback(chrome.runtime.lastError);
+          return;
+        }
+        if (callback) callback(null);
+      });
+    });
+  }
+
+  function loadSettings() {
+    if (!maxConcurrentRequestsInput) {
+      console.error('Error: maxConcurrentRequests element not found.');
+      return;
+    }
+    if (!(chrome && chrome.storage && chrome.storage.local)) {
+      console.warn('chrome.storage API not available. Settings not loaded.');
+      return;
+    }
+    chrome.storage.local.get([SETTINGS_KEY], result => {
+      const settings = (result && result[SETTINGS_KEY]) || {};
+      maxConcurrentRequestsInput.value = settings.maxConcurrentRequests || DEFAULT_MAX_CONCURRENT_REQUESTS;
+      if (passiveHarvestInput) {
+        passiveHarvestInput.checked = settings.passiveHarvest !== false; // On unless turned off
+      }
+      const shortNames = settings.shortNames || {};
+      shortNameSelects.forEach(select => {
+        select.value = shortNames[select.dataset.context] || 'full';
+      });
+      if (copyFormatSelect) {
+        copyFormatSelect.value = settings.copyFormat || 'login';
+      }
+    });
+  }
+
+  if (passiveHarvestInput) {
+    passiveHarvestInput.addEventListener('change', () => {
+      saveSetting('passiveHarvest', passiveHarvestInput.checked, (err) => {
+        if (err) alert('Failed to save settings. Check console.');
+      });
+    });
+  }
+
+  // Saved together as settings.shortNames, keyed by each select's data-context ("dense" or "prose").
+  shortNameSelects.forEach(select => {
+    select.addEventListener('change', () => {
+      const shortNames = {};
+      shortNameSelects.forEach(other => {
+        shortNames[other.dataset.context] = other.value;
+      });
+      saveSetting('shortNames', shortNames, (err) => {
+        if (err) alert('Failed to save settings. Check console.');
+      });
+    });
+  });
+
+  if (copyFormatSelect) {
+    copyFormatSelect.addEventListener('change', () => {
+      saveSetting('copyFormat', copyFormatSelect.value, (err) => {
+        if (err) alert('Failed to save settings. Check console.');
+      });
+    });
+  }
+
+  if (maxConcurrentRequestsInput) {
+    maxConcurrentRequestsInput.addEventListener('change', () => {
+      const value = parseInt(maxConcurrentRequestsInput.value, 10);
+      if (!(value >= 1 && value <= 16)) {
+        alert('Maximum parallel requests must be between 1 and 16.');
+        loadSettings();
+        return;
+      }
+      saveSetting('maxConcurrentRequests', value, (err) => {
+        if (err) alert('Failed to save settings. Check console.');
+      });
+    });
+  }
+
+  // Per-origin templates live in settings.nameFormats; content.js reads its own origin's on load.
+  function loadNameFormats() {
+    if (!nameFormatsBody) {
+      console.error('Error: nameFormatsBody element not found.');
+      return;
+    }
+    nameFormatsBody.innerHTML = '';
+
+    if (!(chrome && chrome.storage && chrome.storage.local)) {
+      console.warn('chrome.storage API not available. Name formats not loaded.');
+      return;
+    }
+
+    chrome.storage.local.get([SETTINGS_KEY], result => {
+      const formats = ((result && result[SETTINGS_KEY]) || {}).nameFormats || {};
+      const origins = Object.keys(formats).sort();
+      if (origins.length === 0) {
+        const row = nameFormatsBody.insertRow();
+        row.insertCell().textContent = 'No name formats saved; names are shown as {name}.';
+        return;
+      }
+
+      origins.forEach(origin => {
+        const row = nameFormatsBody.insertRow();
+        row.dataset.origin = origin;
+        row.insertCell().textContent = origin;
+        row.insertCell().textContent = formats[origin];
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+          saveNameFormat(origin, null);
+        });
+        row.insertCell().appendChild(removeButton);
+      });
+    });
+  }
+
+  // Saves (or, with a null template, removes) one origin's format.
+  function saveNameFormat(origin, template, callback) {
+    chrome.storage.local.get([SETTINGS_KEY], res => {
+      const formats = ((res && res[SETTINGS_KEY]) || {}).nameFormats || {};
+      if (template) {
+        formats[origin] = template;
+      } else {
+        delete formats[origin];
+      }
+      saveSetting('nameFormats', formats, (err) => {
+        if (err) {
+          alert('Failed to save name format. Check console.');
+        } else {
+          loadNameFormats();
+        }
+        if (callback) callback(err);
+      });
+    });
+  }
+
+  if (nameFormatForm) {
+    nameFormatForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const originInput = document.getElementById('nameFormatOrigin');
+      const templateInput = document.getElementById('nameFormatTemplate');
+      const origin = normalizeOrigin(originInput.value);
+      const template = templateInput.value.trim();
+      if (!origin || !template) {
+        alert('Both an origin and a format are required.');
+        return;
+      }
+      const placeholders = (template.match(/\{(\w+)\}/g) || []).map(p => p.slice(1, -1));
+      const unknown = placeholders.filter(p => !NAME_FORMAT_PLACEHOLDERS.includes(p));
+      if (placeholders.length === 0 || unknown.length > 0) {
+        alert(`A format needs at least one of ${NAME_FORMAT_PLACEHOLDERS.map(p => `{${p}}`).join(', ')}` +
+          (unknown.length > 0 ? ` (unknown: ${unknown.map(p => `{${p}}`).join(', ')}).` : '.'));
+        return;
+      }
+      saveNameFormat(origin, template, (err) => {
+        if (!err) {
+          originInput.value = '';
+          templateInput.value = '';
+        }
+      });
+    });
+  }
+
+  // Origins where lookups are paused because the instance asked us to sign in (set by background.js).
+  function loadAuthState() {
+    if (!authStatusList) {
+      console.error('Error: authStatusList element not found.');
+      return;
+    }
+    authStatusList.innerHTML = '';
+
+    if (!(chrome && chrome.storage && chrome.storage.local)) {
+      console.warn('chrome.storage API not available. Sign-in status not loaded.');
+      return;
+    }
+
+    chrome.storage.local.get([AUTH_STATE_KEY], result => {
+      const state = (result && result[AUTH_STATE_KEY]) || {};
+      const origins = Object.keys(state).sort();
+      if (origins.length === 0) {
+        const listItem = document.createElement('li');
+        listItem.textContent = 'No sign-in problems detected.';
+        authStatusList.appendChild(listItem);
+        return;
+      }
+
+      origins.forEach(origin => {
+        const { reason, since } = state[origin];
+        const listItem = document.createElement('li');
+        listItem.dataset.origin = origin;
+        listItem.appendChild(document.createTextNode(
+          `${origin}: sign-in required (${reason}) since ${new Date(since).toLocaleString()}. `
+        ));
+
+        const signInLink = document.createElement('a');
+        signInLink.href = `https://${origin}/login`;
+        signInLink.target = '_blank';
+        signInLink.textContent = 'Sign in';
+        listItem.appendChild(signInLink);
+
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.textContent = 'Retry now';
+        retryButton.addEventListener('click', () => {
+          retryButton.disabled = true;
+          chrome.runtime.sendMessage({ type: 'retryAuth', origin }, response => {
+            if (response && response.authRequired) {
+              alert(`Still signed out of ${origin}. Sign in there and try again.`);
+            }
+            loadAuthState();
+          });
+        });
+        listItem.appendChild(retryButton);
+        authStatusList.appendChild(listItem);
+      });
+    });
+  }
+
+  // Reduces what the user typed (a URL or a hostname) to the bare hostname that tokens, name
+  // formats and the name cache are keyed by; content.js uses location.hostname for the same key.
+  function normalizeOrigin(value) {
+    return value.trim().replace(/^[a-z]+:\/\//i, '').replace(/\/.*$/, '').toLowerCase();
+  }
+
+  function saveApiTokens(tokens, callback) {
+    chrome.storage.local.set({ [TOKENS_KEY]: tokens }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Error saving API tokens:', chrome.runtime.lastError.message);
+        if (callback) callback(chrome.runtime.lastError);
+        return;
+      }
+      if (callback) callback(null);
+    });
+  }
+
+  function loadApiTokens() {
+    if (!apiTokensBody) {
+      console.error('Error: apiTokensBody element not found.');
+      return;
+    }
+    apiTokensBody.innerHTML = '';
+
+    if (!(chrome && chrome.storage && chrome.storage.local)) {
+      console.warn('chrome.storage API not available. API tokens not loaded.');
+      return;
+    }
+
+    chrome.storage.local.get([TOKENS_KEY], result => {
+      if (chrome.runtime.lastError || !result) {
+        console.error('Error loading API tokens:', chrome.runtime.lastError && chrome.runtime.lastError.message);
+        return;
+      }
+      const tokens = result[TOKENS_KEY] || {};
+      const origins = Object.keys(tokens).sort();
+      if (origins.length === 0) {
+        const row = apiTokensBody.insertRow();
+        row.insertCell().textContent = 'No API tokens saved.';
+        return;
+      }
+
+      origins.forEach(origin => {
+        const row = apiTokensBody.insertRow();
+        row.dataset.origin = origin;
+        row.insertCell().textContent = origin;
+        // Never echo the token back; show only enough to tell tokens apart.
+        row.insertCell().textContent = '••••' + String(tokens[origin]).slice(-4);
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+          chrome.storage.local.get([TOKENS_KEY], res => {
+            const currentTokens = (res && res[TOKENS_KEY]) || {};
+            delete currentTokens[origin];
+            saveApiTokens(currentTokens, (err) => {
+              if (err) {
+                alert('Failed to remove token. Check console.');
+              } else {
+                loadApiTokens();
+              }
+            });
+          });
+        });
+        row.insertCell().appendChild(removeButton);
+      });
+    });
+  }
+
+  if (apiTokenForm) {
+    apiTokenForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const originInput = document.getElementById('apiTokenOrigin');
+      const tokenInput = document.getElementById('apiTokenValue');
+      const origin = normalizeOrigin(originInput.value);
+      const token = tokenInput.value.trim();
+      if (!origin || !token) {
+        alert('Both an origin and a token are required.');
+        return;
+      }
+
+      chrome.storage.local.get([TOKENS_KEY], res => {
+        const currentTokens = (res && res[TOKENS_KEY]) || {};
+        currentTokens[origin] = token;
+        saveApiTokens(currentTokens, (err) => {
+          if (err) {
+            alert('Failed to save token. Check console.');
+            return;
+          }
+          originInput.value = '';
+          tokenInput.value = '';
+          loadApiTokens();
+        });
+      });
+    });
+  }
+
+  // The background imports one page of members per message; stopping between pages cancels.
+  let orgImportCancelled = false;
+
+  function setOrgImportRunning(running) {
+    orgImportForm.querySelector('button[type="submit"]').disabled = running;
+    orgImportCancel.disabled = !running;
+    orgImportProgress.hidden = !running;
+  }
+
+  function runOrgImport(origin, org) {
+    let imported = 0;
+    orgImportCancelled = false;
+    setOrgImportRunning(true);
+
+    const finish = (message) => {
+      setOrgImportRunning(false);
+      orgImportStatus.textContent = message;
+      loadNameReplacements();
+    };
+
+    const importPage = (page) => {
+      if (orgImportCancelled) {
+        finish(`Import cancelled after ${imported} members.`);
+        return;
+      }
+      orgImportStatus.textContent = `Importing page ${page} of ${org} members (${imported} so far)...`;
+      chrome.runtime.sendMessage({ type: 'importOrgMembers', origin, org, page }, response => {
+        if (chrome.runtime.lastError || !response || response.error) {
+          const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error;
+          console.error('Error importing organization members:', error);
+          finish(`Import failed after ${imported} members: ${error || 'no response'}.`);
+          return;
+        }
+        imported += response.imported;
+        if (response.nextPage) {
+          importPage(response.nextPage);
+        } else {
+          finish(`Imported ${imported} members of ${org}.`);
+        }
+      });
+    };
+    importPage(1);
+  }
+
+  if (orgImportForm && orgImportCancel && orgImportProgress && orgImportStatus) {
+    orgImportForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const origin = normalizeOrigin(document.getElementById('orgImportOrigin').value);
+      const org = document.getElementById('orgImportName').value.trim();
+      if (!origin || !org) {
+        alert('Both an origin and an organization are required.');
+        return;
+      }
+      runOrgImport(origin, org);
+    });
+    orgImportCancel.addEventListener('click', () => {
+      orgImportCancelled = true;
+      orgImportCancel.disabled = true;
+      orgImportStatus.textContent = 'Cancelling after the current page...';
+    });
+  } else {
+    console.error('Error: organization import elements not found.');
+  }
+
+  function updateExpirationDateCell(cell, noExpire, timestamp, outcome) {
     if (noExpire) {
       cell.textContent = 'Never';
     } else if (timestamp) {
-      const expirationTimestamp = timestamp + SEVEN_DAYS;
+      const expirationTimestamp = timestamp + (OUTCOME_TTLS[outcome || 'resolved'] || OUTCOME_TTLS.resolved);
       cell.textContent = new Date(expirationTimestamp).toLocaleString();
     } else {
       cell.textContent = 'N/A';
     }
   }
 
+  // Saves the suffix content.js shows after a name other logins on the origin share (empty: the login).
+  function saveDisambiguator(origin, username, disambiguator) {
+    chrome.storage.local.get(['githubDisplayNameCache'], res => {
+      const currentCache = (res && res.githubDisplayNameCache) || {};
+      const entry = currentCache[origin] && currentCache[origin][username];
+      if (!entry) {
+        alert('Could not find the entry to update. Please refresh.');
+        return;
+      }
+      if (disambiguator) {
+        entry.disambiguator = disambiguator;
+      } else {
+        delete entry.disambiguator;
+      }
+      saveCache(currentCache, (err) => {
+        if (err) alert('Failed to save disambiguator. Check console.');
+      });
+    });
+  }
+
+  // origin => lower-cased display name => logins that have it, counting only real names.
+  function findSharedNames(cache) {
+    const shared = {};
+    for (const origin in cache) {
+      shared[origin] = {};
+      for (const username in cache[origin]) {
+        const { displayName, outcome } = cache[origin][username];
+        if (!displayName || displayName === username || !['resolved', 'no-name'].includes(outcome || 'resolved')) continue;
+        const key = displayName.trim().toLowerCase();
+        (shared[origin][key] = shared[origin][key] || []).push(username);
+      }
+    }
+    return shared;
+  }
+
   function loadNameReplacements() {
     if (!nameReplacementsBody) {
       console.error('Error: nameReplacementsBody element not found.');
@@ -102,7 +577,7 @@ document.addEventListener('DOMContentLoaded', () => {
           console.error('Error loading name replacements:', chrome.runtime.lastError.message);
           const row = nameReplacementsBody.insertRow();
           const cell = row.insertCell();
-          cell.colSpan = 5; // Adjusted: Origin, Username, Display Name, Do Not Expire, Expiration Date
+          cell.colSpan = 6; // Origin, Username, Display Name, Do Not Expire, Expiration Date, Status
           cell.textContent = 'Error loading replacements. Check browser console.';
           cell.style.color = 'red';
           return;
@@ -112,12 +587,13 @@ document.addEventListener('DOMContentLoaded', () => {
         if (Object.keys(cache).length === 0) {
           const row = nameReplacementsBody.insertRow();
           const cell = row.insertCell();
-          cell.colSpan = 5; // Adjusted
+          cell.colSpan = 6; // Adjusted
           cell.textContent = 'No name replacements configured yet.';
           nameReplacementsBody.appendChild(row);
           return;
         }
 
+        const sharedNames = findSharedNames(cache);
         const sortedEntries = [];
         for (const origin in cache) {
           for (const username in cache[origin]) {
@@ -168,7 +644,39 @@ document.addEventListener('DOMContentLoaded', () => {
             noExpireCell.appendChild(noExpireCheckbox);
 
             const expirationDateCell = row.insertCell();
-            updateExpirationDateCell(expirationDateCell, data.noExpire, data.timestamp);
+            updateExpirationDateCell(expirationDateCell, data.noExpire, data.timestamp, data.outcome);
+
+            const statusCell = row.insertCell();
+            statusCell.textContent = OUTCOME_LABELS[data.outcome || 'resolved'] || data.outcome;
+            // Where the name came from: a harvested page, or the profile-page strategy that found it
+            const sources = [data.source, data.extractor].filter(Boolean);
+            if (sources.length > 0) {
+              statusCell.textContent += ` (${sources.join(', ')})`;
+            }
+            if (data.error) {
+              statusCell.title = data.error;
+            }
+
+            // Several logins with the same name are shown with a suffix; let the user pick it.
+            const nameKey = (data.displayName || '').trim().toLowerCase();
+            const sameName = sharedNames[origin][nameKey] || [];
+            const sharedWith = sameName.filter(login => login !== username);
+            if (sameName.includes(username) && sharedWith.length > 0) {
+              row.classList.add('name-collision');
+              const collisionNote = document.createElement('div');
+              collisionNote.className = 'collision-note';
+              collisionNote.textContent = `Same name as ${sharedWith.map(login => '@' + login).join(', ')}; shown with `;
+              const disambiguatorInput = document.createElement('input');
+              disambiguatorInput.type = 'text';
+              disambiguatorInput.className = 'disambiguator';
+              disambiguatorInput.placeholder = username;
+              disambiguatorInput.value = data.disambiguator || '';
+              disambiguatorInput.addEventListener('change', () => {
+                saveDisambiguator(origin, username, disambiguatorInput.value.trim());
+              });
+              collisionNote.appendChild(disambiguatorInput);
+              statusCell.appendChild(collisionNote);
+            }
 
             // Removed ActionsCell and Delete Button
 
@@ -245,6 +753,9 @@ document.addEventListener('DOMContentLoaded', () => {
                             updatedEntry.displayName = newDisplayName;
                             updatedEntry.noExpire = true;
                             updatedEntry.timestamp = Date.now();
+                            updatedEntry.outcome = 'resolved'; // A typed-in name is an answer, even for a failed lookup
+                            delete updatedEntry.extractor;
+                            delete updatedEntry.source;
 
                             previousDisplayName = newDisplayName;
                             row.dataset.originalDisplay = newDisplayName; // Update for next focus/revert
@@ -254,7 +765,8 @@ document.addEventListener('DOMContentLoaded', () => {
                                     alert('Failed to auto-save changes. Check console.');
                                 } else {
                                     noExpireCheckbox.checked = true;
-                                    updateExpirationDateCell(expirationDateCell, updatedEntry.noExpire, updatedEntry.timestamp);
+                                    updateExpirationDateCell(expirationDateCell, updatedEntry.noExpire, updatedEntry.timestamp, updatedEntry.outcome);
+                                    statusCell.firstChild.textContent = OUTCOME_LABELS.resolved; // Keeps a collision note
                                     displayNameInput.style.backgroundColor = '#e6ffe6';
                                     setTimeout(() => { displayNameInput.style.backgroundColor = ''; }, 1000);
                                 }
@@ -287,7 +799,7 @@ document.addEventListener('DOMContentLoaded', () => {
                             if (err) {
                                 alert('Failed to save noExpire change. Check console.');
                             } else {
-                                updateExpirationDateCell(expirationDateCell, updatedEntry.noExpire, updatedEntry.timestamp);
+                                updateExpirationDateCell(expirationDateCell, updatedEntry.noExpire, updatedEntry.timestamp, updatedEntry.outcome);
                             }
                         });
                     } else {
@@ -305,12 +817,16 @@ document.addEventListener('DOMContentLoaded', () => {
       console.warn('chrome.storage API not available. Displaying placeholder for replacements.');
       const row = nameReplacementsBody.insertRow();
       const cell = row.insertCell();
-      cell.colSpan = 5; // Adjusted
+      cell.colSpan = 6; // Adjusted
       cell.textContent = 'Storage API not available (are you running this outside an extension?).';
       nameReplacementsBody.appendChild(row);
     }
   }
 
   loadEnabledDomains();
+  loadSettings();
+  loadNameFormats();
+  loadAuthState();
+  loadApiTokens();
   loadNameReplacements();
 });
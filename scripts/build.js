@@ -0,0 +1,98 @@
+// scripts/build.js
+// Lays out the extension for packaging: dist/firefox-mv2 with manifest.json as written, and
+// dist/firefox-mv3 with a Manifest V3 translation of it. Both get the same source files.
+//
+//   node scripts/build.js          both variants
+//   node scripts/build.js mv3      one variant (mv2 or mv3)
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const DIST_DIR = path.join(ROOT, "dist");
+
+// Everything the extension loads. content.js is injected or registered by background.js, and
+// options.js is loaded by options.html, so neither appears in the manifest.
+const EXTENSION_FILES = [
+  "background.js",
+  "content.js",
+  "options.html",
+  "options.js",
+  "icon16.png",
+  "icon32.png",
+  "icon48.png",
+  "icon128.png",
+];
+
+// optional_host_permissions needs Firefox 128.
+const MV3_MIN_FIREFOX_VERSION = "128.0";
+
+const isHostPattern = (permission) => permission === "<all_urls>" || permission.includes("://");
+
+/**
+ * Translates the MV2 manifest into its MV3 equivalent: `action` for `browser_action`, host
+ * patterns moved to `optional_host_permissions` (granted at runtime, as in MV2), an event-page
+ * background without `persistent`, and the object forms of the CSP and web-accessible resources.
+ * @param {Object} manifest The MV2 manifest.json.
+ * @returns {Object} The MV3 manifest.
+ */
+function toManifestV3(manifest) {
+  const mv3 = JSON.parse(JSON.stringify(manifest));
+  mv3.manifest_version = 3;
+
+  mv3.action = mv3.browser_action;
+  delete mv3.browser_action;
+
+  const permissions = mv3.permissions || [];
+  const optionalPermissions = mv3.optional_permissions || [];
+  mv3.permissions = permissions.filter((permission) => !isHostPattern(permission));
+  const hostPermissions = permissions.filter(isHostPattern);
+  if (hostPermissions.length > 0) mv3.host_permissions = hostPermissions;
+  const optionalHostPermissions = optionalPermissions.filter(isHostPattern);
+  if (optionalHostPermissions.length > 0) mv3.optional_host_permissions = optionalHostPermissions;
+  mv3.optional_permissions = optionalPermissions.filter((permission) => !isHostPattern(permission));
+  if (mv3.optional_permissions.length === 0) delete mv3.optional_permissions;
+
+  mv3.background = { scripts: manifest.background.scripts };
+
+  if (typeof mv3.content_security_policy === "string") {
+    mv3.content_security_policy = { extension_pages: mv3.content_security_policy };
+  }
+  if (Array.isArray(mv3.web_accessible_resources)) {
+    mv3.web_accessible_resources = [{
+      resources: mv3.web_accessible_resources,
+      matches: optionalHostPermissions.length > 0 ? optionalHostPermissions : ["<all_urls>"],
+    }];
+  }
+
+  const gecko = mv3.browser_specific_settings && mv3.browser_specific_settings.gecko;
+  if (gecko) gecko.strict_min_version = MV3_MIN_FIREFOX_VERSION;
+  return mv3;
+}
+
+const VARIANTS = {
+  mv2: (manifest) => manifest,
+  mv3: toManifestV3,
+};
+
+function build(variant) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8"));
+  const outDir = path.join(DIST_DIR, `firefox-${variant}`);
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+  EXTENSION_FILES.forEach((file) => fs.copyFileSync(path.join(ROOT, file), path.join(outDir, file)));
+  fs.writeFileSync(path.join(outDir, "manifest.json"), JSON.stringify(VARIANTS[variant](manifest), null, 2) + "\n");
+  console.log(`Built ${path.relative(ROOT, outDir)}`);
+}
+
+if (require.main === module) {
+  const requested = process.argv.slice(2);
+  const unknown = requested.filter((variant) => !VARIANTS[variant]);
+  if (unknown.length > 0) {
+    console.error(`Unknown variant ${unknown.join(", ")}; expected ${Object.keys(VARIANTS).join(" or ")}.`);
+    process.exit(1);
+  }
+  (requested.length > 0 ? requested : Object.keys(VARIANTS)).forEach(build);
+}
+
+module.exports = { toManifestV3, EXTENSION_FILES };
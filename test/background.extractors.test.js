@@ -0,0 +1,87 @@
+// background.extractors.test.js
+// Runs the profile-page name extractors in background.js over saved profile markup from
+// several GitHub Enterprise versions (test/fixtures/profiles), reduced to the parts that
+// identify the user.
+
+const fs = require("fs");
+const path = require("path");
+
+const CACHE_KEY = "githubDisplayNameCache";
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "profiles");
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8");
+
+describe("background.js profile name extractors", () => {
+  let onMessageCallback;
+  let fakeStorage;
+
+  beforeEach(() => {
+    jest.resetModules();
+    fakeStorage = {};
+
+    global.chrome = {
+      action: { onClicked: { addListener: () => { } } },
+      tabs: { onUpdated: { addListener: () => { } }, onRemoved: { addListener: () => { } } },
+      runtime: {
+        onMessage: { addListener: (callback) => { onMessageCallback = callback; } },
+        lastError: null,
+      },
+      storage: {
+        local: {
+          get: jest.fn((keys, callback) => {
+            const result = {};
+            (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+              result[key] = JSON.parse(JSON.stringify(fakeStorage[key] || {}));
+            });
+            callback(result);
+          }),
+          set: jest.fn((obj, callback) => {
+            for (const key in obj) fakeStorage[key] = JSON.parse(JSON.stringify(obj[key]));
+            if (callback) callback();
+          }),
+        },
+      },
+    };
+
+    jest.spyOn(console, "log").mockImplementation(() => { });
+    jest.spyOn(console, "warn").mockImplementation(() => { });
+    jest.spyOn(console, "error").mockImplementation(() => { });
+    require("../background.js");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  // The REST API and hovercard endpoint are unavailable, so every lookup reads the profile page fixture.
+  function resolveFromProfile(fixture) {
+    global.fetch = jest.fn((url) => {
+      if (url.includes("/api/v3/")) return Promise.reject(new Error("API disabled"));
+      if (url.endsWith("/hovercard")) return Promise.resolve({ ok: false, status: 404, text: () => Promise.resolve("") });
+      return Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve(readFixture(fixture)) });
+    });
+    return new Promise(resolve => {
+      onMessageCallback({ type: "resolveNames", origin: "ghe.example.com", usernames: ["jdoe"] }, { tab: { id: 1 } }, resolve);
+    });
+  }
+
+  it.each([
+    ["ghe-2.22-vcard.html", "vcard-fullname"],
+    ["ghe-3.4-itemprop.html", "itemprop-name"],
+    ["ghe-2.19-og-title.html", "og-title"],
+    ["ghe-3.12-react.html", "embedded-data"],
+    ["hovercard.html", "hovercard"],
+  ])("should read the name from %s with the %s extractor", async (fixture, extractor) => {
+    expect(await resolveFromProfile(fixture)).toEqual({ names: { jdoe: "Jane Doe" } });
+    expect(fakeStorage[CACHE_KEY]["ghe.example.com"].jdoe).toMatchObject({
+      displayName: "Jane Doe", outcome: "resolved", extractor,
+    });
+  });
+
+  it("should record a profile without a name as no-name and no extractor", async () => {
+    expect(await resolveFromProfile("ghe-3.9-no-name.html")).toEqual({ names: { jdoe: "jdoe" } });
+    const entry = fakeStorage[CACHE_KEY]["ghe.example.com"].jdoe;
+    expect(entry.outcome).toBe("no-name");
+    expect(entry.extractor).toBeUndefined();
+  });
+});
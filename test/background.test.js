@@ -4,7 +4,8 @@
 // The tests below reset the module and set up our own global.chrome mocks.
 describe("background.js", () => {
   // We'll capture the listener callbacks for the events so we can call them in our tests.
-  let onClickedCallback, onUpdatedCallback, onMessageCallback;
+  let onClickedCallback, onUpdatedCallback, onRemovedCallback, onMessageCallback;
+  let onCommandCallback, onMenuClickedCallback;
   const CACHE_KEY = "githubDisplayNameCache";
   const SEVEN_DAYS = 7 * 24 * 60 * 60 * 1000; // Added for new tests
   let fakeStorage;
@@ -27,17 +28,41 @@ describe("background.js", () => {
             onClickedCallback = callback;
           },
         },
+        setBadgeText: jest.fn(),
+        setBadgeBackgroundColor: jest.fn(),
+        setTitle: jest.fn(),
       },
       permissions: {
         request: jest.fn(),
         contains: jest.fn(),
       },
+      commands: {
+        onCommand: {
+          addListener: (callback) => {
+            onCommandCallback = callback;
+          },
+        },
+      },
+      menus: {
+        removeAll: jest.fn((callback) => callback()),
+        create: jest.fn(),
+        onClicked: {
+          addListener: (callback) => {
+            onMenuClickedCallback = callback;
+          },
+        },
+      },
       tabs: {
         onUpdated: {
           addListener: (callback) => {
             onUpdatedCallback = callback;
           },
         },
+        onRemoved: {
+          addListener: (callback) => {
+            onRemovedCallback = callback;
+          },
+        },
         create: jest.fn(), // Mock for openOptionsPage if that test is kept
       },
       runtime: {
@@ -141,6 +166,34 @@ describe("background.js", () => {
     });
   });
 
+  describe("original usernames toggle", () => {
+    beforeEach(() => {
+      chrome.tabs.sendMessage = jest.fn();
+      chrome.tabs.query = jest.fn((query, callback) => callback([{ id: 7 }]));
+    });
+
+    it("should add a toolbar button menu item that toggles the clicked tab", () => {
+      expect(chrome.menus.create).toHaveBeenCalledWith(
+        expect.objectContaining({ id: "toggle-original-usernames", contexts: ["action"] }),
+        expect.any(Function)
+      );
+
+      onMenuClickedCallback({ menuItemId: "toggle-original-usernames" }, { id: 3 });
+
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(3, { type: "toggleOriginals" }, expect.any(Function));
+    });
+
+    it("should toggle the active tab from the keyboard shortcut only", () => {
+      onCommandCallback("some-other-command");
+      expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+
+      onCommandCallback("toggle-original-usernames");
+
+      expect(chrome.tabs.query).toHaveBeenCalledWith({ active: true, currentWindow: true }, expect.any(Function));
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, { type: "toggleOriginals" }, expect.any(Function));
+    });
+  });
+
   describe("chrome.tabs.onUpdated", () => {
     it("should do nothing if the tab status is not 'complete'", () => {
       const tab = { id: 1, url: "https://example.com/page" };
@@ -178,60 +231,837 @@ describe("background.js", () => {
     });
   });
 
-  describe("chrome.runtime.onMessage (Lock and Basic Cache Update)", () => {
-    // Original tests for acquireLock and basic releaseLock remain relevant
-    it('should acquire a lock when one is not already held ("acquireLock")', () => {
-      const message = { type: "acquireLock", origin: "https://example.com", username: "user1" };
-      const sendResponse = jest.fn();
-      onMessageCallback(message, null, sendResponse);
-      expect(sendResponse).toHaveBeenCalledWith({ acquired: true });
+  describe("duplicate injection guard", () => {
+    const tab = { id: 4, url: "https://example.com/page" };
+
+    beforeEach(() => {
+      chrome.permissions.contains.mockImplementation((options, callback) => callback(true));
+    });
+
+    it("should ask an already running content script to rescan instead of injecting it again", () => {
+      chrome.tabs.sendMessage = jest.fn((tabId, message, callback) => callback(message.type === "ping" ? { pong: true } : undefined));
+      onUpdatedCallback(tab.id, { status: "complete" }, tab);
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(4, { type: "ping" }, expect.any(Function));
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(4, { type: "rescan" }, expect.any(Function));
+      expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+    });
+
+    it("should inject the content script when nothing in the tab answers the ping", () => {
+      chrome.tabs.sendMessage = jest.fn((tabId, message, callback) => {
+        chrome.runtime.lastError = { message: "Could not establish connection. Receiving end does not exist." };
+        callback();
+        chrome.runtime.lastError = null;
+      });
+      onUpdatedCallback(tab.id, { status: "complete" }, tab);
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledTimes(1);
+      expect(chrome.scripting.executeScript).toHaveBeenCalledWith(
+        { target: { tabId: tab.id }, files: ["content.js"] }, expect.any(Function)
+      );
     });
+  });
+
+  describe("content script registration", () => {
+    let registeredScripts, grantedOrigins, onPermissionsAdded, onPermissionsRemoved;
 
-    it('should not acquire a lock if it is already held ("acquireLock")', () => {
-      const message = { type: "acquireLock", origin: "https://example.com", username: "user1" };
-      const sendResponse1 = jest.fn(); const sendResponse2 = jest.fn();
-      onMessageCallback(message, null, sendResponse1);
-      expect(sendResponse1).toHaveBeenCalledWith({ acquired: true });
-      onMessageCallback(message, null, sendResponse2);
-      expect(sendResponse2).toHaveBeenCalledWith({ acquired: false });
+    beforeEach(() => {
+      registeredScripts = [{ id: "github-unveiler:https://old.example.com/*" }, { id: "other-script" }];
+      grantedOrigins = ["https://ghe.example.com/*", "https://*/*"];
+      Object.assign(chrome.permissions, {
+        getAll: jest.fn((callback) => callback({ origins: grantedOrigins, permissions: [] })),
+        onAdded: { addListener: (callback) => { onPermissionsAdded = callback; } },
+        onRemoved: { addListener: (callback) => { onPermissionsRemoved = callback; } },
+      });
+      Object.assign(chrome.scripting, {
+        getRegisteredContentScripts: jest.fn((callback) => callback(registeredScripts)),
+        registerContentScripts: jest.fn((scripts, callback) => callback()),
+        unregisterContentScripts: jest.fn((filter, callback) => callback()),
+      });
+      chrome.tabs.query = jest.fn((query, callback) => callback([{ id: 9 }]));
+      jest.resetModules();
+      require("../background.js");
+    });
+
+    it("should register granted origins and unregister revoked ones on start-up", () => {
+      expect(chrome.scripting.registerContentScripts).toHaveBeenCalledWith([{
+        id: "github-unveiler:https://ghe.example.com/*",
+        matches: ["https://ghe.example.com/*"],
+        js: ["content.js"],
+        runAt: "document_idle",
+      }], expect.any(Function));
+      expect(chrome.scripting.unregisterContentScripts).toHaveBeenCalledWith(
+        { ids: ["github-unveiler:https://old.example.com/*"] }, expect.any(Function)
+      );
     });
 
-    it('should update the cache (basic) and release the lock on "releaseLock" message', (done) => {
+    it("should start the content script in open tabs of a newly granted origin", () => {
+      chrome.tabs.sendMessage = jest.fn((tabId, message, callback) => {
+        chrome.runtime.lastError = { message: "Receiving end does not exist." };
+        callback();
+        chrome.runtime.lastError = null;
+      });
+      registeredScripts = [{ id: "github-unveiler:https://ghe.example.com/*" }];
+      grantedOrigins.push("https://new.example.com/*");
+      chrome.scripting.registerContentScripts.mockClear();
+
+      onPermissionsAdded({ origins: ["https://new.example.com/*"] });
+
+      expect(chrome.scripting.registerContentScripts).toHaveBeenCalledWith(
+        [expect.objectContaining({ id: "github-unveiler:https://new.example.com/*" })], expect.any(Function)
+      );
+      expect(chrome.tabs.query).toHaveBeenCalledWith({ url: ["https://new.example.com/*"] }, expect.any(Function));
+      expect(chrome.scripting.executeScript).toHaveBeenCalledWith(
+        { target: { tabId: 9 }, files: ["content.js"] }, expect.any(Function)
+      );
+    });
+
+    it("should unregister an origin and tear down its open tabs once its permission is removed", () => {
+      registeredScripts = [{ id: "github-unveiler:https://ghe.example.com/*" }];
+      grantedOrigins = [];
+      chrome.scripting.unregisterContentScripts.mockClear();
+
+      chrome.tabs.sendMessage = jest.fn();
+
+      onPermissionsRemoved({ origins: ["https://ghe.example.com/*"] });
+
+      expect(chrome.scripting.unregisterContentScripts).toHaveBeenCalledWith(
+        { ids: ["github-unveiler:https://ghe.example.com/*"] }, expect.any(Function)
+      );
+      expect(chrome.tabs.query).toHaveBeenCalledWith({}, expect.any(Function));
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+        9, { type: "teardown", origin: "ghe.example.com", restore: true }, expect.any(Function)
+      );
+    });
+
+    it("should leave page loads to the registered scripts", () => {
+      chrome.permissions.contains.mockImplementation((options, callback) => callback(true));
+      onUpdatedCallback(1, { status: "complete" }, { id: 1, url: "https://ghe.example.com/pulls" });
+      expect(chrome.permissions.contains).not.toHaveBeenCalled();
+      expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("lease persistence across suspension", () => {
+    const flush = () => new Promise(r => setTimeout(r, 0));
+    let sessionStorage;
+    const profileResponse = (name) => Promise.resolve({
+      ok: true, status: 200, text: () => Promise.resolve(`<html><body><span class="vcard-fullname">${name}</span></body></html>`),
+    });
+
+    beforeEach(() => {
+      sessionStorage = {};
+      chrome.storage.session = {
+        get: jest.fn((keys, callback) => callback(JSON.parse(JSON.stringify(sessionStorage)))),
+        set: jest.fn((obj, callback) => {
+          Object.assign(sessionStorage, JSON.parse(JSON.stringify(obj)));
+          if (callback) callback();
+        }),
+      };
+      chrome.tabs.query = jest.fn((query, callback) => callback([{ id: 5 }]));
+      chrome.tabs.sendMessage = jest.fn();
+      jest.spyOn(console, "warn").mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it("should mirror in-flight leases to storage.session", async () => {
+      let finishFetch;
+      global.fetch = jest.fn((url) => url.includes("/api/v3/")
+        ? Promise.reject(new Error("API disabled"))
+        : new Promise((resolve) => { finishFetch = () => resolve(profileResponse("Jane Doe")); }));
+      jest.resetModules();
+      require("../background.js");
+
+      const answer = new Promise((resolve) => {
+        onMessageCallback({ type: "resolveNames", origin: "ghe.example.com", usernames: ["jdoe"] }, { tab: { id: 5 } }, resolve);
+      });
+      for (let i = 0; i < 5; i++) await flush();
+
+      expect(sessionStorage.githubUnveilerNameLocks["ghe.example.comjdoe"]).toMatchObject({
+        origin: "ghe.example.com", username: "jdoe", owners: [5],
+      });
+
+      finishFetch();
+      await answer;
+      await flush();
+      expect(sessionStorage.githubUnveilerNameLocks).toEqual({});
+    });
+
+    it("should restart interrupted lookups on wake-up and push the names to the waiting tabs", async () => {
+      sessionStorage.githubUnveilerNameLocks = {
+        "ghe.example.comjdoe": { origin: "ghe.example.com", username: "jdoe", owners: [5], expiresAt: Date.now() + 10000 },
+        "ghe.example.comold": { origin: "ghe.example.com", username: "old", owners: [5], expiresAt: Date.now() - 1 },
+      };
+      global.fetch = jest.fn((url) => url.includes("/api/v3/")
+        ? Promise.reject(new Error("API disabled"))
+        : profileResponse("Jane Doe"));
+      jest.resetModules();
+      require("../background.js");
+      for (let i = 0; i < 10; i++) await flush();
+
+      expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining("/old"), expect.anything());
+      expect(fakeStorage[CACHE_KEY]["ghe.example.com"].jdoe).toMatchObject({ displayName: "Jane Doe", outcome: "resolved" });
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(5, {
+        type: "namesUpdated", origin: "ghe.example.com", names: { jdoe: "Jane Doe" },
+      }, expect.any(Function));
+      expect(sessionStorage.githubUnveilerNameLocks).toEqual({});
+    });
+
+    it("should mirror a host's rate-limit pause and keep to it after waking up", async () => {
+      const rateLimited = { ok: false, status: 429, headers: { get: (name) => (name === "Retry-After" ? "60" : null) } };
+      global.fetch = jest.fn((url) => (url.startsWith("https://api.github.com/")
+        ? Promise.resolve(rateLimited)
+        : new Promise(() => { }))); // Cut short by the suspension
+      jest.resetModules();
+      require("../background.js");
+      onMessageCallback({ type: "resolveNames", origin: "github.com", usernames: ["jdoe"] }, { tab: { id: 5 } }, () => { });
+      for (let i = 0; i < 5; i++) await flush();
+
+      expect(sessionStorage.githubUnveilerRequestPauses).toEqual({ "api.github.com": Date.now() + 60 * 1000 });
+
+      // Suspended, then woken up with the lookup still leased: it keeps off the paused host.
+      sessionStorage.githubUnveilerRequestPauses["github.com"] = Date.now() - 1; // Already over
+      global.fetch.mockClear();
+      jest.resetModules();
+      require("../background.js");
+      for (let i = 0; i < 10; i++) await flush();
+
+      expect(global.fetch.mock.calls.map(([url]) => new URL(url).host)).not.toContain("api.github.com");
+      expect(global.fetch).toHaveBeenCalledWith("https://github.com/users/jdoe/hovercard", expect.anything());
+    });
+  });
+
+  describe("chrome.runtime.onMessage (resolveNames)", () => {
+    const profileHtml = (name) => `<html><body><span class="vcard-fullname">${name}</span></body></html>`;
+    const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: () => Promise.resolve(body) });
+    const htmlResponse = (html, status = 200) => ({ ok: status < 400, status, text: () => Promise.resolve(html) });
+
+    function resolveNamesMessage(origin, usernames) {
+      return new Promise(resolve => {
+        const returned = onMessageCallback({ type: "resolveNames", origin, usernames }, { tab: { id: 1 } }, resolve);
+        expect(returned).toBe(true);
+      });
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, "warn").mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it("should answer cached names without fetching", async () => {
+      fakeStorage[CACHE_KEY] = { "github.com": { user1: { displayName: "User One", timestamp: Date.now(), noExpire: false } } };
+      global.fetch = jest.fn();
+
+      const response = await resolveNamesMessage("github.com", ["user1"]);
+
+      expect(response).toEqual({ names: { user1: "User One" } });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it("should resolve through the REST API and cache the result", async () => {
       const msgTime = new Date('2023-01-15T12:00:00.000Z').getTime();
-      Date.now = jest.fn(() => msgTime); // Ensure timestamp is predictable
-
-      const message = { type: "releaseLock", origin: "https://example.com", username: "user1", displayName: "User One" };
-      const acquireResponse = jest.fn();
-      onMessageCallback({ type: "acquireLock", origin: message.origin, username: message.username }, null, acquireResponse);
-      expect(acquireResponse).toHaveBeenCalledWith({ acquired: true });
-
-      const sendResponse = (response) => {
-        try {
-          expect(response).toEqual({ success: true });
-          const storedCache = fakeStorage[CACHE_KEY];
-          expect(storedCache[message.origin][message.username].displayName).toBe(message.displayName);
-          expect(storedCache[message.origin][message.username].timestamp).toBe(msgTime); // Check timestamp
-          // noExpire defaults to false, this is covered in detailed tests below
-          const newResponse = jest.fn();
-          onMessageCallback({ type: "acquireLock", origin: message.origin, username: message.username }, null, newResponse);
-          expect(newResponse).toHaveBeenCalledWith({ acquired: true });
-          done();
-        } catch (error) { done(error); }
+      Date.now = jest.fn(() => msgTime);
+      global.fetch = jest.fn(() => Promise.resolve(jsonResponse({ login: "user1", name: "User One" })));
+
+      const response = await resolveNamesMessage("ghe.example.com", ["user1"]);
+
+      expect(response).toEqual({ names: { user1: "User One" } });
+      expect(global.fetch).toHaveBeenCalledWith("https://ghe.example.com/api/v3/users/user1", expect.any(Object));
+      expect(fakeStorage[CACHE_KEY]["ghe.example.com"].user1).toEqual({ displayName: "User One", timestamp: msgTime, noExpire: false, outcome: "resolved" });
+    });
+
+    it("should read the hovercard fragment when the REST API fails, without loading the profile page", async () => {
+      const hovercardHtml = `<div data-hydro-view='{"event_type":"user-hovercard-load"}'>
+        <a class="f5 text-bold Link--primary" href="/user1">Hovercard Name</a> <a href="/user1">user1</a></div>`;
+      global.fetch = jest.fn((url) => {
+        if (url.startsWith("https://api.github.com/")) return Promise.resolve(jsonResponse({}, 403));
+        return Promise.resolve(htmlResponse(hovercardHtml));
+      });
+
+      const response = await resolveNamesMessage("github.com", ["user1"]);
+
+      expect(response).toEqual({ names: { user1: "Hovercard Name" } });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch).toHaveBeenCalledWith("https://github.com/users/user1/hovercard", {
+        credentials: "include", headers: { "X-Requested-With": "XMLHttpRequest" },
+      });
+      expect(fakeStorage[CACHE_KEY]["github.com"].user1.extractor).toBe("hovercard");
+    });
+
+    it("should fall back to the profile page when the hovercard is unavailable", async () => {
+      global.fetch = jest.fn((url) => {
+        if (url.startsWith("https://api.github.com/")) return Promise.resolve(jsonResponse({}, 403));
+        if (url.endsWith("/hovercard")) return Promise.resolve(htmlResponse("", 404));
+        return Promise.resolve(htmlResponse(profileHtml("Scraped Name")));
+      });
+
+      const response = await resolveNamesMessage("github.com", ["user1"]);
+
+      expect(response).toEqual({ names: { user1: "Scraped Name" } });
+      expect(global.fetch).toHaveBeenCalledWith("https://github.com/user1", { credentials: "include" });
+    });
+
+    it("should fetch a login only once when several tabs ask for it at the same time", async () => {
+      let resolveFetch;
+      global.fetch = jest.fn(() => new Promise(resolve => { resolveFetch = resolve; }));
+
+      const first = resolveNamesMessage("github.com", ["user1"]);
+      const second = resolveNamesMessage("github.com", ["user1"]);
+      await new Promise(r => setTimeout(r, 0));
+      resolveFetch(jsonResponse({ login: "user1", name: "User One" }));
+
+      expect(await first).toEqual({ names: { user1: "User One" } });
+      expect(await second).toEqual({ names: { user1: "User One" } });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it("should batch logins into one aliased GraphQL query when a token is stored", async () => {
+      fakeStorage.githubApiTokens = { "github.com": "tok" };
+      global.fetch = jest.fn(() => Promise.resolve(jsonResponse({
+        data: { u0: { login: "user1", name: "User One" }, u1: { login: "user2", name: null } },
+      })));
+
+      const response = await resolveNamesMessage("github.com", ["user1", "user2"]);
+
+      expect(response).toEqual({ names: { user1: "User One", user2: "user2" } });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe("https://api.github.com/graphql");
+      expect(init.headers.Authorization).toBe("Bearer tok");
+      expect(JSON.parse(init.body).variables).toEqual({ l0: "user1", l1: "user2" });
+    });
+
+    it("should keep batching through GraphQL after a transient GraphQL failure", async () => {
+      fakeStorage.githubApiTokens = { "github.com": "tok" };
+      let graphqlCalls = 0;
+      global.fetch = jest.fn((url) => {
+        if (url.endsWith("/graphql")) {
+          graphqlCalls++;
+          return Promise.resolve(graphqlCalls === 1
+            ? jsonResponse({}, 502)
+            : jsonResponse({ data: { u0: { login: "user2", name: "User Two" } } }));
+        }
+        return Promise.resolve(jsonResponse({ login: "user1", name: "User One" }));
+      });
+
+      expect(await resolveNamesMessage("github.com", ["user1"])).toEqual({ names: { user1: "User One" } });
+      expect(await resolveNamesMessage("github.com", ["user2"])).toEqual({ names: { user2: "User Two" } });
+      expect(graphqlCalls).toBe(2);
+    });
+
+    it("should stop using GraphQL on an instance where the endpoint does not exist", async () => {
+      fakeStorage.githubApiTokens = { "ghe.example.com": "tok" };
+      global.fetch = jest.fn((url) => {
+        if (url.endsWith("/graphql")) return Promise.resolve(jsonResponse({}, 404));
+        const login = url.split("/").pop();
+        return Promise.resolve(jsonResponse({ login, name: "Name of " + login }));
+      });
+
+      await resolveNamesMessage("ghe.example.com", ["user1"]);
+      await resolveNamesMessage("ghe.example.com", ["user2"]);
+
+      expect(global.fetch.mock.calls.filter(([url]) => url.endsWith("/graphql"))).toHaveLength(1);
+    });
+
+    it("should fall back to the login and cache the failure as a network error when every lookup fails", async () => {
+      global.fetch = jest.fn(() => Promise.reject(new Error("offline")));
+
+      const response = await resolveNamesMessage("github.com", ["user1"]);
+
+      expect(response).toEqual({ names: { user1: "user1" } });
+      expect(fakeStorage[CACHE_KEY]["github.com"].user1).toMatchObject({ displayName: "user1", outcome: "network-error", error: "Error: offline" });
+    });
+  });
+
+  describe("lookup leases", () => {
+    const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: () => Promise.resolve(body) });
+
+    function resolveNamesFromTab(tabId, usernames) {
+      return new Promise(resolve => {
+        onMessageCallback({ type: "resolveNames", origin: "github.com", usernames }, { tab: { id: tabId } }, resolve);
+      });
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, "warn").mockImplementation(() => { });
+      global.fetch = jest.fn(() => new Promise(() => { })); // Never settles
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      delete global.fetch;
+    });
+
+    it("should release a lease that outlives its timeout and let the next request retry", async () => {
+      jest.useFakeTimers();
+      const pending = resolveNamesFromTab(1, ["user1"]);
+      await jest.advanceTimersByTimeAsync(30 * 1000);
+
+      expect(await pending).toEqual({ names: { user1: "user1" } });
+
+      global.fetch = jest.fn(() => Promise.resolve(jsonResponse({ login: "user1", name: "User One" })));
+      expect(await resolveNamesFromTab(1, ["user1"])).toEqual({ names: { user1: "User One" } });
+    });
+
+    it("should release a lease once every owner tab has closed", async () => {
+      const first = resolveNamesFromTab(1, ["user1"]);
+      await new Promise(r => setTimeout(r, 0));
+      const second = resolveNamesFromTab(2, ["user1"]);
+      await new Promise(r => setTimeout(r, 0));
+
+      onRemovedCallback(1);
+      let settled = false;
+      second.then(() => { settled = true; });
+      await new Promise(r => setTimeout(r, 0));
+      expect(settled).toBe(false);
+
+      onRemovedCallback(2);
+      expect(await first).toEqual({ names: { user1: "user1" } });
+      expect(await second).toEqual({ names: { user1: "user1" } });
+      expect(console.warn).toHaveBeenCalledWith("Lookup for", "github.comuser1", "released with error:", "Owner tab 2 closed");
+    });
+
+    it("should release a lease and record the error on an explicit releaseLock message", async () => {
+      const pending = resolveNamesFromTab(1, ["user1"]);
+      await new Promise(r => setTimeout(r, 0));
+
+      const sendResponse = jest.fn();
+      onMessageCallback({ type: "releaseLock", origin: "github.com", username: "user1", error: "Render failed" }, { tab: { id: 1 } }, sendResponse);
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: true });
+      expect(await pending).toEqual({ names: { user1: "user1" } });
+      expect(console.warn).toHaveBeenCalledWith("Lookup for", "github.comuser1", "released with error:", "Render failed");
+      await new Promise(r => setTimeout(r, 0));
+      expect(fakeStorage[CACHE_KEY]["github.com"].user1).toMatchObject({ displayName: "user1", outcome: "network-error", error: "Render failed" });
+    });
+
+    it("should not let a released lease's error replace a name already known", async () => {
+      fakeStorage[CACHE_KEY] = { "github.com": { user1: { displayName: "User One", timestamp: Date.now(), noExpire: false, outcome: "resolved" } } };
+
+      onMessageCallback({ type: "releaseLock", origin: "github.com", username: "user1", error: "Render failed" }, { tab: { id: 1 } }, jest.fn());
+      await new Promise(r => setTimeout(r, 0));
+
+      expect(fakeStorage[CACHE_KEY]["github.com"].user1).toMatchObject({ displayName: "User One", outcome: "resolved" });
+    });
+  });
+
+  describe("request scheduler", () => {
+    const headers = (values = {}) => ({ get: (name) => (name in values ? values[name] : null) });
+    const jsonResponse = (body, status = 200, headerValues = {}) => ({
+      ok: status < 400, status, headers: headers(headerValues), json: () => Promise.resolve(body),
+    });
+    const htmlResponse = (html, status = 200, headerValues = {}) => ({
+      ok: status < 400, status, url: "", headers: headers(headerValues), text: () => Promise.resolve(html),
+    });
+    const hovercardHtml = (login, name) => `<div data-hydro-view='{"event_type":"user-hovercard-load"}'>
+      <a class="f5 text-bold Link--primary" href="/${login}">${name}</a> <a href="/${login}">${login}</a></div>`;
+
+    function resolveNamesMessage(usernames) {
+      return new Promise(resolve => {
+        onMessageCallback({ type: "resolveNames", origin: "github.com", usernames }, { tab: { id: 1 } }, resolve);
+      });
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, "warn").mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      delete global.fetch;
+    });
+
+    it("should run at most four requests per origin at a time by default", async () => {
+      global.fetch = jest.fn(() => new Promise(() => { }));
+      resolveNamesMessage(["u1", "u2", "u3", "u4", "u5", "u6"]);
+      await new Promise(r => setTimeout(r, 0));
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    it("should wait for Retry-After on a 429 and then retry", async () => {
+      jest.useFakeTimers();
+      let hovercardCalls = 0;
+      global.fetch = jest.fn((url) => {
+        if (url.startsWith("https://api.github.com/")) return Promise.resolve(jsonResponse({}, 500));
+        hovercardCalls++;
+        return Promise.resolve(hovercardCalls === 1
+          ? htmlResponse("", 429, { "Retry-After": "2" })
+          : htmlResponse(hovercardHtml("user1", "User One")));
+      });
+
+      const pending = resolveNamesMessage(["user1"]);
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(hovercardCalls).toBe(1);
+      await jest.advanceTimersByTimeAsync(1);
+
+      expect(await pending).toEqual({ names: { user1: "User One" } });
+      expect(hovercardCalls).toBe(2);
+    });
+
+    it("should give up after repeated rate limits on the pages without scraping the profile", async () => {
+      jest.useFakeTimers();
+      global.fetch = jest.fn(() => Promise.resolve(jsonResponse({}, 403, { "X-RateLimit-Remaining": "0" })));
+
+      const pending = resolveNamesMessage(["user1"]);
+      await jest.advanceTimersByTimeAsync(1000 + 2000 + 4000 + 8000);
+
+      expect(await pending).toEqual({ names: { user1: "user1" } });
+      const urls = global.fetch.mock.calls.map(([url]) => url);
+      expect(urls.filter((url) => url.startsWith("https://api.github.com/"))).toHaveLength(1);
+      expect(urls.filter((url) => url.endsWith("/hovercard"))).toHaveLength(4);
+      expect(urls).not.toContain("https://github.com/user1");
+      expect(fakeStorage[CACHE_KEY]["github.com"].user1).toMatchObject({ displayName: "user1", outcome: "rate-limited" });
+    });
+
+    it("should read hovercards while the REST API is rate limited, without retrying the API", async () => {
+      global.fetch = jest.fn((url) => {
+        if (url.startsWith("https://api.github.com/")) {
+          return Promise.resolve(jsonResponse({}, 403, { "X-RateLimit-Remaining": "0", "X-RateLimit-Reset": String(Date.now() / 1000 + 3600) }));
+        }
+        const login = url.split("/")[4];
+        return Promise.resolve(htmlResponse(hovercardHtml(login, "Name of " + login)));
+      });
+
+      expect(await resolveNamesMessage(["user1"])).toEqual({ names: { user1: "Name of user1" } });
+      expect(await resolveNamesMessage(["user2"])).toEqual({ names: { user2: "Name of user2" } });
+
+      // The second lookup skips the paused API host instead of queueing behind it.
+      expect(global.fetch.mock.calls.filter(([url]) => url.startsWith("https://api.github.com/"))).toHaveLength(1);
+    });
+  });
+
+  describe("stale-while-revalidate", () => {
+    const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: () => Promise.resolve(body) });
+    const flush = () => new Promise(r => setTimeout(r, 0));
+
+    function resolveNamesMessage(usernames) {
+      return new Promise(resolve => {
+        onMessageCallback({ type: "resolveNames", origin: "github.com", usernames }, { tab: { id: 1 } }, resolve);
+      });
+    }
+
+    beforeEach(() => {
+      chrome.tabs.query = jest.fn((query, callback) => callback([{ id: 7 }, { id: 8 }]));
+      chrome.tabs.sendMessage = jest.fn();
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it("should answer with the stale name, refresh it, and broadcast the new name to open tabs", async () => {
+      const now = Date.now();
+      fakeStorage[CACHE_KEY] = { "github.com": { user1: { displayName: "Old Name", timestamp: now - SEVEN_DAYS + 1000, noExpire: false } } };
+      global.fetch = jest.fn(() => Promise.resolve(jsonResponse({ login: "user1", name: "New Name" })));
+
+      expect(await resolveNamesMessage(["user1"])).toEqual({ names: { user1: "Old Name" } });
+      await flush();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(fakeStorage[CACHE_KEY]["github.com"].user1).toEqual({ displayName: "New Name", timestamp: now, noExpire: false, outcome: "resolved" });
+      expect(chrome.tabs.query).toHaveBeenCalledWith({ url: "*://github.com/*" }, expect.any(Function));
+      const expectedMessage = { type: "namesUpdated", origin: "github.com", names: { user1: "New Name" } };
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, expectedMessage, expect.any(Function));
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(8, expectedMessage, expect.any(Function));
+    });
+
+    it("should still serve entries past expiry while refreshing them", async () => {
+      fakeStorage[CACHE_KEY] = { "github.com": { user1: { displayName: "Kept Name", timestamp: Date.now() - SEVEN_DAYS - 1000 } } };
+      global.fetch = jest.fn(() => Promise.resolve(jsonResponse({ login: "user1", name: "Kept Name" })));
+
+      expect(await resolveNamesMessage(["user1"])).toEqual({ names: { user1: "Kept Name" } });
+      await flush();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(chrome.tabs.sendMessage).not.toHaveBeenCalled(); // Name unchanged
+    });
+
+    it("should not refresh fresh or pinned entries", async () => {
+      const now = Date.now();
+      fakeStorage[CACHE_KEY] = {
+        "github.com": {
+          fresh: { displayName: "Fresh", timestamp: now - 1000, noExpire: false },
+          pinned: { displayName: "Pinned", timestamp: now - 30 * SEVEN_DAYS, noExpire: true },
+        },
       };
-      expect(onMessageCallback(message, null, sendResponse)).toBe(true);
+      global.fetch = jest.fn();
+
+      expect(await resolveNamesMessage(["fresh", "pinned"])).toEqual({ names: { fresh: "Fresh", pinned: "Pinned" } });
+      await flush();
+
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("negative caching", () => {
+    const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: () => Promise.resolve(body) });
+
+    function resolveNamesMessage(usernames) {
+      return new Promise(resolve => {
+        onMessageCallback({ type: "resolveNames", origin: "github.com", usernames }, { tab: { id: 1 } }, resolve);
+      });
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, "warn").mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it("should cache a 404 as not-found without scraping the profile page", async () => {
+      global.fetch = jest.fn(() => Promise.resolve(jsonResponse({}, 404)));
+
+      expect(await resolveNamesMessage(["ghost"])).toEqual({ names: { ghost: "ghost" } });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(fakeStorage[CACHE_KEY]["github.com"].ghost).toMatchObject({ displayName: "ghost", outcome: "not-found" });
+    });
+
+    it("should record a blank profile name as no-name", async () => {
+      global.fetch = jest.fn(() => Promise.resolve(jsonResponse({ login: "user1", name: "  " })));
+
+      expect(await resolveNamesMessage(["user1"])).toEqual({ names: { user1: "user1" } });
+      expect(fakeStorage[CACHE_KEY]["github.com"].user1).toMatchObject({ displayName: "user1", outcome: "no-name" });
+    });
+
+    it("should not retry a failed lookup until its TTL is up", async () => {
+      const now = Date.now();
+      fakeStorage[CACHE_KEY] = {
+        "github.com": {
+          recent: { displayName: "recent", timestamp: now - 60 * 1000, noExpire: false, outcome: "network-error" },
+          expired: { displayName: "expired", timestamp: now - 11 * 60 * 1000, noExpire: false, outcome: "network-error" },
+        },
+      };
+      global.fetch = jest.fn(() => Promise.resolve(jsonResponse({ login: "expired", name: "Back Online" })));
+
+      expect(await resolveNamesMessage(["recent", "expired"])).toEqual({ names: { recent: "recent", expired: "Back Online" } });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith("https://api.github.com/users/expired", expect.any(Object));
+    });
+
+    it("should keep a known name when its refresh fails transiently", async () => {
+      const now = Date.now();
+      fakeStorage[CACHE_KEY] = { "github.com": { user1: { displayName: "Known Name", timestamp: now - SEVEN_DAYS + 1000, noExpire: false } } };
+      global.fetch = jest.fn(() => Promise.reject(new Error("offline")));
+      chrome.tabs.query = jest.fn((query, callback) => callback([]));
+
+      expect(await resolveNamesMessage(["user1"])).toEqual({ names: { user1: "Known Name" } });
+      await new Promise(r => setTimeout(r, 0));
+
+      expect(fakeStorage[CACHE_KEY]["github.com"].user1.displayName).toBe("Known Name");
+      expect(fakeStorage[CACHE_KEY]["github.com"].user1.outcome).toBeUndefined();
+    });
+  });
+
+  describe("organization import", () => {
+    const htmlResponse = (html, status = 200) => ({ ok: status < 400, status, text: () => Promise.resolve(html) });
+
+    function importPage(page) {
+      return new Promise(resolve => {
+        onMessageCallback({ type: "importOrgMembers", origin: "ghe.example.com", org: "acme", page }, {}, resolve);
+      });
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, "warn").mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it("should store names shown on the People page and look up the rest", async () => {
+      const peopleHtml = `<ul>
+        <li data-bulk-actions-id="jdoe"><a class="f4" href="/jdoe">Jane Doe</a><span>jdoe</span></li>
+        <li data-bulk-actions-id="nobody"><a class="f4" href="/nobody">nobody</a></li>
+      </ul><a class="next_page" href="/orgs/acme/people?page=2">Next</a>`;
+      global.fetch = jest.fn((url) => {
+        if (url.includes("/orgs/acme/people")) return Promise.resolve(htmlResponse(peopleHtml));
+        if (url.includes("/api/v3/users/nobody")) return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ login: "nobody", name: "No Body" }) });
+        return Promise.reject(new Error("unexpected " + url));
+      });
+
+      expect(await importPage(1)).toEqual({ imported: 2, nextPage: 2 });
+      expect(global.fetch).toHaveBeenCalledWith("https://ghe.example.com/orgs/acme/people?page=1", { credentials: "include" });
+      const cache = fakeStorage[CACHE_KEY]["ghe.example.com"];
+      expect(cache.jdoe).toMatchObject({ displayName: "Jane Doe", source: "org-import", imported: true });
+      expect(cache.nobody).toMatchObject({ displayName: "No Body", outcome: "resolved", imported: true });
+    });
+
+    it("should page through the members API when a token is stored", async () => {
+      fakeStorage.githubApiTokens = { "ghe.example.com": "tok" };
+      global.fetch = jest.fn((url) => {
+        if (url.includes("/orgs/acme/members")) {
+          return Promise.resolve({
+            ok: true, status: 200,
+            headers: { get: (name) => (name === "Link" ? '<https://ghe.example.com/api/v3/orgs/acme/members?page=3>; rel="next"' : null) },
+            json: () => Promise.resolve([{ login: "jdoe" }]),
+          });
+        }
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ data: { u0: { login: "jdoe", name: "Jane Doe" } } }) });
+      });
+
+      expect(await importPage(2)).toEqual({ imported: 1, nextPage: 3 });
+      expect(global.fetch.mock.calls[0][0]).toBe("https://ghe.example.com/api/v3/orgs/acme/members?per_page=100&page=2");
+      expect(fakeStorage[CACHE_KEY]["ghe.example.com"].jdoe.displayName).toBe("Jane Doe");
+    });
+
+    it("should keep imported members and earlier names when the import passes the cache cap", async () => {
+      const old = Date.now() - 60 * 1000;
+      const known = {};
+      for (let i = 0; i < 1000; i++) {
+        known["known" + i] = { displayName: "Known " + i, timestamp: old, noExpire: false, outcome: "resolved" };
+      }
+      fakeStorage[CACHE_KEY] = { "ghe.example.com": known };
+      const memberItems = (from, count) => Array.from({ length: count }, (_, i) =>
+        `<li data-bulk-actions-id="m${from + i}"><a class="f4" href="/m${from + i}">Member ${from + i}</a></li>`).join("");
+      global.fetch = jest.fn((url) => Promise.resolve(htmlResponse(`<ul>${memberItems(url.endsWith("page=1") ? 0 : 100, 100)}</ul>`)));
+
+      await importPage(1);
+      await importPage(2);
+
+      const cache = fakeStorage[CACHE_KEY]["ghe.example.com"];
+      expect(Object.keys(cache)).toHaveLength(1200);
+      expect(cache.m0).toMatchObject({ displayName: "Member 0", imported: true });
+      expect(cache.known0.displayName).toBe("Known 0");
+    });
+
+    it("should report a failed listing to the options page", async () => {
+      global.fetch = jest.fn(() => Promise.resolve(htmlResponse("", 404)));
+
+      const response = await importPage(1);
+
+      expect(response.error).toContain("HTTP error 404");
+    });
+  });
+
+  describe("sign-in walls", () => {
+    const AUTH_STATE_KEY = "githubAuthState";
+    const flush = () => new Promise(r => setTimeout(r, 0));
+    const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: () => Promise.resolve(body) });
+    const htmlResponse = (html, extra = {}) => ({ ok: true, status: 200, text: () => Promise.resolve(html), ...extra });
+    const loginRedirect = () => htmlResponse("<html><body>Sign in</body></html>", { redirected: true, url: "https://ghe.example.com/login?return_to=%2Fuser1" });
+
+    function resolveNamesMessage(usernames) {
+      return new Promise(resolve => {
+        onMessageCallback({ type: "resolveNames", origin: "ghe.example.com", usernames }, { tab: { id: 1 } }, resolve);
+      });
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, "warn").mockImplementation(() => { });
+      chrome.tabs.query = jest.fn((query, callback) => callback([{ id: 7 }]));
+      chrome.tabs.sendMessage = jest.fn();
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it("should pause the origin instead of caching a login redirect as a name", async () => {
+      global.fetch = jest.fn((url) => {
+        if (url.includes("/api/v3/")) return Promise.resolve(jsonResponse({}, 401));
+        return Promise.resolve(loginRedirect());
+      });
+
+      expect(await resolveNamesMessage(["user1"])).toEqual({ names: { user1: "user1" } });
+
+      expect(fakeStorage[CACHE_KEY]["ghe.example.com"].user1.outcome).toBe("auth-required");
+      expect(fakeStorage[AUTH_STATE_KEY]["ghe.example.com"]).toMatchObject({ reason: "redirected to /login", probeLogin: "user1" });
+      expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: "!" });
+      expect(chrome.action.setTitle).toHaveBeenLastCalledWith({ title: "Sign-in required for ghe.example.com" });
+
+      global.fetch.mockClear();
+      expect(await resolveNamesMessage(["user2"])).toEqual({ names: { user2: "user2" } });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it("should recognise a login form served without a redirect", async () => {
+      global.fetch = jest.fn((url) => {
+        if (url.includes("/api/v3/")) return Promise.resolve(jsonResponse({}, 403));
+        return Promise.resolve(htmlResponse('<html><body><form action="/session"><input type="password" name="password"></form></body></html>'));
+      });
+
+      expect(await resolveNamesMessage(["user1"])).toEqual({ names: { user1: "user1" } });
+      expect(fakeStorage[AUTH_STATE_KEY]["ghe.example.com"].reason).toBe("login form");
+    });
+
+    it("should recognise an SSO interstitial by its SAML form", async () => {
+      global.fetch = jest.fn((url) => {
+        if (url.includes("/api/v3/")) return Promise.resolve(jsonResponse({}, 403));
+        return Promise.resolve(htmlResponse('<html><body><form action="/orgs/acme/saml/initiate?return_to=%2Fuser1" method="post"><button>Continue</button></form></body></html>'));
+      });
+
+      expect(await resolveNamesMessage(["user1"])).toEqual({ names: { user1: "user1" } });
+      expect(fakeStorage[AUTH_STATE_KEY]["ghe.example.com"].reason).toBe("SSO interstitial");
+    });
+
+    it("should not mistake the SSO reminder banner on a profile without a name for a sign-in wall", async () => {
+      global.fetch = jest.fn((url) => {
+        if (url.includes("/api/v3/")) return Promise.resolve(jsonResponse({}, 403));
+        return Promise.resolve(htmlResponse('<html><body><div class="flash"><a href="/orgs/acme/sso?return_to=%2Fuser1">Single sign-on</a> to see acme resources.</div><div class="h-card"></div></body></html>'));
+      });
+
+      expect(await resolveNamesMessage(["user1"])).toEqual({ names: { user1: "user1" } });
+      expect(fakeStorage[AUTH_STATE_KEY]).toBeUndefined();
+      expect(fakeStorage[CACHE_KEY]["ghe.example.com"].user1.outcome).toBe("no-name");
+    });
+
+    it("should resume and retry held-back logins once a tab of the origin loads signed in", async () => {
+      global.fetch = jest.fn((url) => {
+        if (url.includes("/api/v3/")) return Promise.resolve(jsonResponse({}, 401));
+        return Promise.resolve(loginRedirect());
+      });
+      await resolveNamesMessage(["user1"]);
+      await resolveNamesMessage(["user2"]);
+
+      global.fetch = jest.fn((url) => {
+        if (url.includes("/api/v3/")) return Promise.resolve(jsonResponse({}, 401));
+        const login = url.match(/ghe\.example\.com\/(?:users\/)?([^/]+)/)[1];
+        return Promise.resolve(htmlResponse(`<html><body><span class="vcard-fullname">Name of ${login}</span></body></html>`));
+      });
+      chrome.permissions.contains.mockImplementation((options, callback) => callback(false));
+      onUpdatedCallback(7, { status: "complete" }, { id: 7, url: "https://ghe.example.com/" });
+      for (let i = 0; i < 5; i++) await flush();
+
+      expect(fakeStorage[AUTH_STATE_KEY]).toEqual({});
+      expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: "" });
+      expect(fakeStorage[CACHE_KEY]["ghe.example.com"].user1).toMatchObject({ displayName: "Name of user1", outcome: "resolved" });
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, {
+        type: "namesUpdated", origin: "ghe.example.com", names: { user1: "Name of user1", user2: "Name of user2" },
+      }, expect.any(Function));
+    });
+
+    it("should keep the origin paused when a retry still hits the wall", async () => {
+      fakeStorage[AUTH_STATE_KEY] = { "ghe.example.com": { reason: "redirected to /login", since: 1, probeLogin: "user1" } };
+      jest.resetModules();
+      require("../background.js");
+      await flush();
+      expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: "!" });
+
+      global.fetch = jest.fn(() => Promise.resolve(loginRedirect()));
+      const response = await new Promise(resolve => {
+        onMessageCallback({ type: "retryAuth", origin: "ghe.example.com" }, {}, resolve);
+      });
+
+      expect(response).toEqual({ authRequired: true });
+      expect(global.fetch).toHaveBeenCalledWith("https://ghe.example.com/user1", { credentials: "include" });
     });
   });
 
   // --- Merged detailed cache tests ---
-  describe("updateCache (Detailed noExpire Logic via onMessage 'releaseLock')", () => {
+  describe("updateCacheEntries (Detailed noExpire Logic via onMessage 'storeDisplayNames')", () => {
     async function triggerUpdateCache(origin, username, displayName, initialCacheState = {}) {
       fakeStorage[CACHE_KEY] = initialCacheState; // Set initial state for the test
-      // Ensure lock can be acquired
-      onMessageCallback({ type: "acquireLock", origin, username }, null, jest.fn());
-
       const promise = new Promise(resolve => {
         onMessageCallback(
-          { type: "releaseLock", origin, username, displayName },
+          { type: "storeDisplayNames", origin, names: { [username]: displayName } },
           null,
           (response) => { expect(response.success).toBe(true); resolve(); }
         );
@@ -247,7 +1077,7 @@ describe("background.js", () => {
 
       const cache = fakeStorage[CACHE_KEY];
       expect(cache.origin1.user1).toEqual({
-        displayName: 'User One', timestamp: currentTime, noExpire: false,
+        displayName: 'User One', timestamp: currentTime, noExpire: false, outcome: 'resolved',
       });
     });
 
@@ -262,7 +1092,7 @@ describe("background.js", () => {
 
       const cache = fakeStorage[CACHE_KEY];
       expect(cache.origin1.user1).toEqual({
-        displayName: 'User One New Name', timestamp: updateTime, noExpire: true,
+        displayName: 'User One New Name', timestamp: updateTime, noExpire: true, outcome: 'resolved',
       });
     });
 
@@ -277,7 +1107,7 @@ describe("background.js", () => {
 
       const cache = fakeStorage[CACHE_KEY];
       expect(cache.origin1.user1).toEqual({
-        displayName: 'User One Updated', timestamp: updateTime, noExpire: false,
+        displayName: 'User One Updated', timestamp: updateTime, noExpire: false, outcome: 'resolved',
       });
     });
 
@@ -292,9 +1122,69 @@ describe("background.js", () => {
 
       const cache = fakeStorage[CACHE_KEY];
       expect(cache.origin1.user1).toEqual({
-        displayName: 'User One Mix', timestamp: updateTime, noExpire: false,
+        displayName: 'User One Mix', timestamp: updateTime, noExpire: false, outcome: 'resolved',
+      });
+    });
+  });
+
+  describe("storeDisplayNames (batched cache writes)", () => {
+    it("should store every name in one cache write, preserving noExpire", async () => {
+      const currentTime = new Date('2023-01-16T00:00:00.000Z').getTime();
+      Date.now = jest.fn(() => currentTime);
+      fakeStorage[CACHE_KEY] = {
+        origin1: { pinned: { displayName: 'Pinned Old', timestamp: 1, noExpire: true } },
+      };
+      chrome.storage.local.set.mockClear();
+
+      const response = await new Promise(resolve => {
+        const returned = onMessageCallback(
+          { type: "storeDisplayNames", origin: "origin1", names: { userA: "User A", userB: "User B", pinned: "Pinned New" } },
+          null,
+          resolve
+        );
+        expect(returned).toBe(true);
+      });
+
+      expect(response).toEqual({ success: true });
+      expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+      expect(fakeStorage[CACHE_KEY].origin1).toEqual({
+        userA: { displayName: "User A", timestamp: currentTime, noExpire: false, outcome: "resolved" },
+        userB: { displayName: "User B", timestamp: currentTime, noExpire: false, outcome: "resolved" },
+        pinned: { displayName: "Pinned New", timestamp: currentTime, noExpire: true, outcome: "resolved" },
+      });
+    });
+
+    it("should tag harvested names and leave pinned entries alone", async () => {
+      const currentTime = new Date('2023-01-16T00:00:00.000Z').getTime();
+      Date.now = jest.fn(() => currentTime);
+      const pinnedEntry = { displayName: 'My Name', timestamp: 1, noExpire: true };
+      fakeStorage[CACHE_KEY] = { origin1: { pinned: pinnedEntry } };
+
+      await new Promise(resolve => {
+        onMessageCallback(
+          { type: "storeDisplayNames", origin: "origin1", names: { userA: "User A", pinned: "Harvested Name" }, source: "harvested" },
+          null,
+          resolve
+        );
+      });
+
+      expect(fakeStorage[CACHE_KEY].origin1).toEqual({
+        userA: { displayName: "User A", timestamp: currentTime, noExpire: false, outcome: "resolved", source: "harvested" },
+        pinned: pinnedEntry,
       });
     });
+
+    it("should keep a chosen disambiguator when a name is refreshed", async () => {
+      fakeStorage[CACHE_KEY] = {
+        origin1: { achen: { displayName: 'Alex Chen', timestamp: 1, noExpire: false, outcome: 'resolved', disambiguator: 'Platform' } },
+      };
+
+      await new Promise(resolve => {
+        onMessageCallback({ type: "storeDisplayNames", origin: "origin1", names: { achen: "Alex Chen" } }, null, resolve);
+      });
+
+      expect(fakeStorage[CACHE_KEY].origin1.achen.disambiguator).toBe('Platform');
+    });
   });
 
   describe("clearOldCacheEntries (Detailed Logic)", () => {
@@ -342,7 +1232,7 @@ describe("background.js", () => {
       const futureTime = new Date('2023-01-30T00:00:00.000Z').getTime();
       Date.now = jest.fn(() => futureTime);
       fakeStorage[CACHE_KEY] = {
-        origin1: { userA: { displayName: 'User A', timestamp: futureTime - SEVEN_DAYS - 1000, noExpire: true } },
+        origin1: { userA: { displayName: 'User A', timestamp: futureTime - 2 * SEVEN_DAYS - 1000, noExpire: true } },
       };
       await triggerAndAwaitClearOldCache();
       expect(fakeStorage[CACHE_KEY].origin1.userA).toBeDefined();
@@ -352,7 +1242,7 @@ describe("background.js", () => {
       const futureTime = new Date('2023-01-30T00:00:00.000Z').getTime();
       Date.now = jest.fn(() => futureTime);
       fakeStorage[CACHE_KEY] = {
-        origin1: { userB: { displayName: 'User B', timestamp: futureTime - SEVEN_DAYS - 1000, noExpire: false } },
+        origin1: { userB: { displayName: 'User B', timestamp: futureTime - 2 * SEVEN_DAYS - 1000, noExpire: false } },
       };
       await triggerAndAwaitClearOldCache();
       expect(fakeStorage[CACHE_KEY].origin1).toBeUndefined();
@@ -362,12 +1252,36 @@ describe("background.js", () => {
       const futureTime = new Date('2023-01-30T00:00:00.000Z').getTime();
       Date.now = jest.fn(() => futureTime);
       fakeStorage[CACHE_KEY] = {
-        origin1: { userB: { displayName: 'User B Legacy', timestamp: futureTime - SEVEN_DAYS - 1000 } },
+        origin1: { userB: { displayName: 'User B Legacy', timestamp: futureTime - 2 * SEVEN_DAYS - 1000 } },
       };
       await triggerAndAwaitClearOldCache();
       expect(fakeStorage[CACHE_KEY].origin1).toBeUndefined();
     });
 
+    it("expired entry still within the grace period is NOT cleared", async () => {
+      const futureTime = new Date('2023-01-30T00:00:00.000Z').getTime();
+      Date.now = jest.fn(() => futureTime);
+      fakeStorage[CACHE_KEY] = {
+        origin1: { userD: { displayName: 'User D', timestamp: futureTime - SEVEN_DAYS - 1000, noExpire: false } },
+      };
+      await triggerAndAwaitClearOldCache();
+      expect(fakeStorage[CACHE_KEY].origin1.userD).toBeDefined();
+    });
+
+    it("failed lookup is cleared once its retry TTL is up, without a grace period", async () => {
+      const futureTime = new Date('2023-01-30T00:00:00.000Z').getTime();
+      Date.now = jest.fn(() => futureTime);
+      fakeStorage[CACHE_KEY] = {
+        origin1: {
+          gone: { displayName: 'gone', timestamp: futureTime - 2 * 24 * 60 * 60 * 1000, noExpire: false, outcome: 'not-found' },
+          missing: { displayName: 'missing', timestamp: futureTime - 60 * 60 * 1000, noExpire: false, outcome: 'not-found' },
+        },
+      };
+      await triggerAndAwaitClearOldCache();
+      expect(fakeStorage[CACHE_KEY].origin1.gone).toBeUndefined();
+      expect(fakeStorage[CACHE_KEY].origin1.missing).toBeDefined();
+    });
+
     it("recent entry with noExpire: false is NOT cleared", async () => {
       const futureTime = new Date('2023-01-30T00:00:00.000Z').getTime();
       Date.now = jest.fn(() => futureTime);
@@ -383,8 +1297,8 @@ describe("background.js", () => {
       Date.now = jest.fn(() => futureTime);
       fakeStorage[CACHE_KEY] = {
         originToClear: {
-          userOld1: { displayName: 'Old 1', timestamp: futureTime - SEVEN_DAYS - 2000, noExpire: false },
-          userOld2: { displayName: 'Old 2', timestamp: futureTime - SEVEN_DAYS - 1000 },
+          userOld1: { displayName: 'Old 1', timestamp: futureTime - 2 * SEVEN_DAYS - 2000, noExpire: false },
+          userOld2: { displayName: 'Old 2', timestamp: futureTime - 2 * SEVEN_DAYS - 1000 },
         },
         originToKeep: { userNew: { displayName: 'New', timestamp: futureTime - 1000, noExpire: false } }
       };
@@ -398,13 +1312,14 @@ describe("background.js", () => {
       Date.now = jest.fn(() => futureTime);
       const oneDayAgo = futureTime - 1 * 24 * 60 * 60 * 1000;
       const eightDaysAgo = futureTime - 8 * 24 * 60 * 60 * 1000;
+      const fifteenDaysAgo = futureTime - 15 * 24 * 60 * 60 * 1000;
 
       fakeStorage[CACHE_KEY] = {
         "https://example.com": {
           emptyNoExpire: { displayName: "", timestamp: eightDaysAgo, noExpire: true },
           spaceRecent: { displayName: "   ", timestamp: oneDayAgo, noExpire: false },
           validNoExpire: { displayName: "Valid Name", timestamp: eightDaysAgo, noExpire: true },
-          emptyToBeDeleted: { displayName: "", timestamp: eightDaysAgo, noExpire: false }
+          emptyToBeDeleted: { displayName: "", timestamp: fifteenDaysAgo, noExpire: false }
         }
       };
       await triggerAndAwaitClearOldCache();
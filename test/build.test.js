@@ -0,0 +1,40 @@
+// build.test.js
+// The MV3 manifest scripts/build.js derives from manifest.json.
+
+const fs = require("fs");
+const path = require("path");
+const { toManifestV3, EXTENSION_FILES } = require("../scripts/build.js");
+
+describe("scripts/build.js", () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "manifest.json"), "utf8"));
+  const mv3 = toManifestV3(manifest);
+
+  it("should translate the MV2 keys to their MV3 forms", () => {
+    expect(mv3.manifest_version).toBe(3);
+    expect(mv3.browser_action).toBeUndefined();
+    expect(mv3.action).toEqual(manifest.browser_action);
+    expect(mv3.background).toEqual({ scripts: ["background.js"] });
+    expect(mv3.content_security_policy).toEqual({ extension_pages: manifest.content_security_policy });
+    expect(mv3.web_accessible_resources).toEqual([
+      { resources: manifest.web_accessible_resources, matches: ["https://*/*"] },
+    ]);
+  });
+
+  it("should keep host access optional and requested at runtime", () => {
+    expect(mv3.optional_host_permissions).toEqual(["https://*/*"]);
+    expect(mv3.optional_permissions).toBeUndefined();
+    expect(mv3.host_permissions).toBeUndefined();
+    expect(mv3.permissions).toEqual(expect.arrayContaining(["storage", "scripting"]));
+  });
+
+  it("should leave the source manifest untouched and ship every file it refers to", () => {
+    expect(manifest.manifest_version).toBe(2);
+    const referenced = [
+      ...manifest.background.scripts,
+      manifest.options_ui.page,
+      ...Object.values(manifest.icons),
+      ...manifest.web_accessible_resources,
+    ];
+    referenced.forEach((file) => expect(EXTENSION_FILES).toContain(file));
+  });
+});
@@ -0,0 +1,83 @@
+// test/content.copy.test.js
+// Copying text with replaced names puts @login (or "Name (@login)") in text/plain.
+
+const { wait, mockChrome, loadContentScript, unloadContentScript } = require('./helpers/contentScript');
+
+describe('GitHub Usernames Extension - Copying Replaced Names', () => {
+  const LOGIN_ATTRIBUTE = "data-ghu-login";
+
+  async function render(settings = {}) {
+    mockChrome({ names: { jdoe: 'Jane Doe', rroe: 'Richard Roe', alice: 'Alice Smith', bob: 'Bob Jones' }, settings });
+    document.body.innerHTML = `
+      <p id="comment">Thanks <a data-hovercard-url="/users/jdoe/hovercard">@jdoe</a> and
+      <a data-hovercard-url="/users/rroe/hovercard">rroe</a>!</p>
+      <p id="plain">Nothing to map here</p>
+      <div role="gridcell"><div><span data-avatar-count="2"><img data-testid="github-avatar" alt="@alice"><img data-testid="github-avatar" alt="@bob"></span><span id="assignees">alice and bob</span></div></div>`;
+    loadContentScript();
+    await wait();
+  }
+
+  function select(node, startOffset, endNode = node, endOffset = endNode.textContent.length) {
+    const range = document.createRange();
+    range.setStart(node, startOffset);
+    range.setEnd(endNode, endOffset);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  // Copies the selection; returns what content.js put in text/plain, or null if it left the copy alone.
+  function copy() {
+    const clipboard = {};
+    const event = new Event('copy', { bubbles: true, cancelable: true });
+    event.clipboardData = { setData: (type, text) => { clipboard[type] = text; } };
+    document.dispatchEvent(event);
+    return event.defaultPrevented ? clipboard['text/plain'] : null;
+  }
+
+  beforeEach(unloadContentScript);
+  afterEach(unloadContentScript);
+
+  test('maps every selected name back to @login in document order', async () => {
+    await render();
+    const comment = document.getElementById('comment');
+    expect(comment.textContent.replace(/\s+/g, ' ')).toBe('Thanks @Jane Doe and Richard Roe!');
+
+    select(comment, 0, comment, comment.childNodes.length);
+    expect(copy().replace(/\s+/g, ' ')).toBe('Thanks @jdoe and @rroe!');
+  });
+
+  test('maps several names written into one text node', async () => {
+    await render();
+    select(document.getElementById('assignees').firstChild, 0);
+    expect(copy()).toBe('@alice and @bob');
+  });
+
+  test('copies "Name (@login)" when configured', async () => {
+    await render({ copyFormat: 'name-login' });
+    select(document.querySelector(`[${LOGIN_ATTRIBUTE}="rroe"]`).firstChild, 0);
+    expect(copy()).toBe('Richard Roe (@rroe)');
+  });
+
+  test('copies names as shown when configured', async () => {
+    await render({ copyFormat: 'name' });
+    select(document.querySelector(`[${LOGIN_ATTRIBUTE}="rroe"]`).firstChild, 0);
+    expect(copy()).toBeNull();
+  });
+
+  test('leaves a partly selected name and selections without names alone', async () => {
+    await render();
+    select(document.querySelector(`[${LOGIN_ATTRIBUTE}="rroe"]`).firstChild, 8);
+    expect(copy()).toBe('Roe');
+    select(document.getElementById('plain').firstChild, 0);
+    expect(copy()).toBeNull();
+  });
+
+  test('ignores a name the page has re-rendered since', async () => {
+    await render();
+    const name = document.querySelector(`[${LOGIN_ATTRIBUTE}="rroe"]`);
+    name.firstChild.nodeValue = 'Richard R.'; // copied before the debounced rescan gets to it
+    select(name.firstChild, 0);
+    expect(copy()).toBeNull();
+  });
+});
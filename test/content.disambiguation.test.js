@@ -0,0 +1,69 @@
+// test/content.disambiguation.test.js
+// Logins that share a display name on an origin get a distinguishing suffix.
+
+const { wait, mockChrome, loadContentScript, unloadContentScript } = require('./helpers/contentScript');
+
+describe('GitHub Usernames Extension - Duplicate Name Disambiguation', () => {
+  let background;
+
+  function cached(displayName, extra = {}) {
+    return { displayName, timestamp: Date.now(), noExpire: false, outcome: "resolved", ...extra };
+  }
+
+  async function render(logins, options) {
+    background = mockChrome(options);
+    document.body.innerHTML = logins
+      .map((login) => `<a data-hovercard-url="/users/${login}/hovercard">${login}</a>`)
+      .join('');
+    loadContentScript();
+    await wait();
+  }
+
+  function linkTexts() {
+    return Array.from(document.querySelectorAll('a')).map((anchor) => anchor.textContent);
+  }
+
+  beforeEach(unloadContentScript);
+  afterEach(unloadContentScript);
+
+  test('leaves a name only one login has alone', async () => {
+    await render(['achen'], { names: { achen: 'Alex Chen' } });
+    expect(linkTexts()).toEqual(['Alex Chen']);
+  });
+
+  test('adds the login to every name that more than one login has', async () => {
+    await render(['achen', 'achen2'], { names: { achen: 'Alex Chen', achen2: 'alex chen' } });
+    expect(linkTexts()).toEqual(['Alex Chen (achen)', 'alex chen (achen2)']);
+  });
+
+  test('tells apart a name shared with someone in the cache who is not on the page', async () => {
+    await render(['achen'], { names: { achen: 'Alex Chen' }, cache: { achen2: cached('Alex Chen') } });
+    expect(linkTexts()).toEqual(['Alex Chen (achen)']);
+  });
+
+  test('prefers a chosen disambiguator', async () => {
+    const cache = { achen: cached('Alex Chen'), achen2: cached('Alex Chen', { disambiguator: 'Design' }) };
+    await render(['achen', 'achen2'], { cache });
+    expect(linkTexts()).toEqual(['Alex Chen (achen)', 'Alex Chen (Design)']);
+  });
+
+  test('needs no suffix when the format shows the login, unless a disambiguator was chosen', async () => {
+    const cache = { achen: cached('Alex Chen'), achen2: cached('Alex Chen', { disambiguator: 'Design' }) };
+    await render(['achen', 'achen2'], { cache, settings: { nameFormats: { [location.hostname]: '{name} (@{login})' } } });
+    expect(linkTexts()).toEqual(['Alex Chen (@achen)', 'Alex Chen (@achen2) (Design)']);
+  });
+
+  test('treats logins case-insensitively', async () => {
+    await render(['achen', 'AChen'], { names: { achen: 'Alex Chen', AChen: 'Alex Chen' } });
+    expect(linkTexts()).toEqual(['Alex Chen', 'Alex Chen']);
+  });
+
+  test('drops the suffix once the other user is renamed', async () => {
+    await render(['achen', 'achen2'], { names: { achen: 'Alex Chen', achen2: 'Alex Chen' } });
+    expect(linkTexts()).toEqual(['Alex Chen (achen)', 'Alex Chen (achen2)']);
+
+    background.sendMessage({ type: "namesUpdated", origin: location.hostname, names: { achen2: 'Alexandra Chen' } });
+
+    expect(linkTexts()).toEqual(['Alex Chen', 'Alexandra Chen']);
+  });
+});
@@ -0,0 +1,65 @@
+// test/content.format.test.js
+// Per-origin display-name format templates ("Name Format" on the options page).
+
+const { INSTANCE_KEY, wait, mockChrome, loadContentScript, unloadContentScript } = require('./helpers/contentScript');
+
+describe('GitHub Usernames Extension - Name Format Templates', () => {
+  // Runs content.js with `template` as this origin's format over a link to `login` showing `text`.
+  async function render(template, { login = 'jdoe', text = login, names = { jdoe: 'Jane Doe' } } = {}) {
+    mockChrome({ names, settings: { nameFormats: { [location.hostname]: template } } });
+    document.body.innerHTML = `<a data-hovercard-url="/users/${login}/hovercard">${text}</a>`;
+    loadContentScript();
+    await wait();
+    return document.querySelector('a');
+  }
+
+  beforeEach(unloadContentScript);
+  afterEach(unloadContentScript);
+
+  test.each([
+    ['{name}', 'Jane Doe'],
+    ['{name} (@{login})', 'Jane Doe (@jdoe)'],
+    ['{first} {lastInitial}.', 'Jane D.'],
+    ['{login} · {name}', 'jdoe · Jane Doe'],
+    ['{first} {last}', 'Jane Doe'],
+  ])('renders %s', async (template, expected) => {
+    expect((await render(template)).textContent).toBe(expected);
+  });
+
+  test('uses the default template for other origins', async () => {
+    mockChrome({ names: { jdoe: 'Jane Doe' }, settings: { nameFormats: { 'ghe.example.com': '{first}' } } });
+    document.body.innerHTML = '<a data-hovercard-url="/users/jdoe/hovercard">jdoe</a>';
+    loadContentScript();
+    await wait();
+    expect(document.querySelector('a').textContent).toBe('Jane Doe');
+  });
+
+  test('drops an empty initial and its period for one-word names', async () => {
+    const anchor = await render('{first} {lastInitial}.', { login: 'cher', names: { cher: 'Cher' } });
+    expect(anchor.textContent).toBe('Cher');
+  });
+
+  test('leaves logins without a known name alone', async () => {
+    const anchor = await render('{name} (@{login})', { text: '@jdoe', names: {} });
+    expect(anchor.textContent).toBe('@jdoe');
+  });
+
+  test('keeps the @ for mentions unless the template shows the login itself', async () => {
+    expect((await render('{name}', { text: '@jdoe' })).textContent).toBe('@Jane Doe');
+    unloadContentScript();
+    expect((await render('{name} (@{login})', { text: '@jdoe' })).textContent).toBe('Jane Doe (@jdoe)');
+  });
+
+  test('does not rewrite a login the template put back into the text', async () => {
+    const anchor = await render('{login} · {name}', { text: '<span>jdoe</span>' });
+    expect(anchor.textContent).toBe('jdoe · Jane Doe');
+
+    // GitHub re-renders the login into the same node, and the page is scanned again.
+    anchor.querySelector('span').firstChild.nodeValue = 'jdoe';
+    await wait();
+    window[INSTANCE_KEY].rescan();
+    await wait();
+
+    expect(anchor.textContent).toBe('jdoe · Jane Doe');
+  });
+});
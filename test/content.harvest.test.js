@@ -0,0 +1,107 @@
+// test/content.harvest.test.js
+// Passive harvesting: names read off hovercards and profile pages the user already has open.
+
+const { INSTANCE_KEY, wait, mockChrome, loadContentScript, unloadContentScript } = require('./helpers/contentScript');
+
+describe('GitHub Usernames Extension - Passive Harvesting', () => {
+  const PROCESSED_MARKER = "data-ghu-processed";
+  let background;
+
+  function hovercard(login, links) {
+    const hydroView = JSON.stringify({ event_type: "user-hovercard-hover", payload: { card_user_login: login } });
+    return `<div data-hydro-view='${hydroView}'><div class="px-3 pb-3">${links}</div></div>`;
+  }
+
+  function harvested() {
+    return background.sent("storeDisplayNames");
+  }
+
+  beforeEach(() => {
+    unloadContentScript();
+    document.head.innerHTML = '';
+    background = mockChrome();
+  });
+
+  afterEach(unloadContentScript);
+
+  test('reads the name link of a hovercard, skipping the login link, and shows it', async () => {
+    document.body.innerHTML = `
+      ${hovercard('jdoe', `
+        <a href="/jdoe"><img alt="@jdoe"></a>
+        <a class="f5 text-bold Link--primary" href="/jdoe">Jane Doe</a>
+        <a class="Link--secondary" href="/jdoe">jdoe</a>`)}
+      <a data-hovercard-url="/users/jdoe/hovercard">jdoe</a>`;
+    loadContentScript();
+    await wait();
+
+    expect(harvested()).toEqual([
+      { type: "storeDisplayNames", origin: location.hostname, names: { jdoe: 'Jane Doe' }, source: "harvested" },
+    ]);
+    expect(document.querySelector('a[data-hovercard-url]').textContent).toBe('Jane Doe');
+  });
+
+  test('ignores hovercard links the extension already rewrote', async () => {
+    document.body.innerHTML = hovercard('jdoe', `
+      <a href="/jdoe" ${PROCESSED_MARKER}="true">Cached Name</a><a href="/jdoe">jdoe</a>`);
+    loadContentScript();
+    await wait();
+
+    expect(harvested()).toEqual([]);
+  });
+
+  test('does not replace a pinned name on the page', async () => {
+    background = mockChrome({
+      cache: { jdoe: { displayName: 'My Name For Jane', timestamp: Date.now(), noExpire: true, outcome: "resolved" } },
+    });
+    document.body.innerHTML = `
+      ${hovercard('jdoe', '<a href="/jdoe">Jane Doe</a>')}
+      <a data-hovercard-url="/users/jdoe/hovercard">jdoe</a>`;
+    loadContentScript();
+    await wait();
+
+    expect(harvested().length).toBe(1);
+    expect(document.querySelector('a[data-hovercard-url]').textContent).toBe('My Name For Jane');
+  });
+
+  test('sends nothing when passive learning is turned off', async () => {
+    background = mockChrome({ settings: { passiveHarvest: false } });
+    document.body.innerHTML = hovercard('jdoe', '<a href="/jdoe">Jane Doe</a>');
+    loadContentScript();
+    await wait();
+
+    expect(harvested()).toEqual([]);
+  });
+
+  test('collects login/name pairs from React embedded data payloads', async () => {
+    const payload = {
+      payload: {
+        pullRequest: { author: { login: 'jdoe', displayName: 'Jane Doe' } },
+        comments: [
+          { author: { login: 'rroe', name: 'Richard Roe' } },
+          { author: { login: 'plain', name: 'plain' } },
+          { author: { login: 'anon' } },
+          { author: { login: 'dependabot[bot]', name: 'Dependabot' } },
+        ],
+        repository: { owner: { login: 'acme', name: 'Acme Inc', __typename: 'Organization' } },
+      },
+    };
+    document.body.innerHTML =
+      `<script type="application/json" data-target="react-app.embeddedData">${JSON.stringify(payload)}</script>`;
+    loadContentScript();
+    await wait();
+
+    expect(harvested().map((message) => message.names)).toEqual([{ jdoe: 'Jane Doe', rroe: 'Richard Roe' }]);
+  });
+
+  test('harvests the vcard of a profile page once', async () => {
+    document.head.innerHTML = '<meta property="profile:username" content="jdoe">';
+    document.body.innerHTML = '<div class="h-card"><span class="vcard-fullname" itemprop="name">Jane Doe</span></div>';
+    loadContentScript();
+    await wait();
+
+    window[INSTANCE_KEY].rescan();
+    await wait();
+
+    expect(harvested().map((message) => message.names)).toEqual([{ jdoe: 'Jane Doe' }]);
+  });
+});
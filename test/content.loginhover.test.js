@@ -0,0 +1,92 @@
+// test/content.loginhover.test.js
+// Elements whose text we replace show their "@login"s on hover and keep the logins in data-ghu-login,
+// while GitHub's own text nodes stay in place.
+
+const { INSTANCE_KEY, wait, mockChrome, loadContentScript, unloadContentScript } = require('./helpers/contentScript');
+
+describe('GitHub Usernames Extension - Original Login on Hover', () => {
+  const LOGIN_ATTRIBUTE = "data-ghu-login";
+
+  // A grid cell of a Projects table with several assignees, as GitHub renders it.
+  function gridCell(logins, text) {
+    const avatars = logins.map((login) => `<img data-testid="github-avatar" alt="@${login}">`).join('');
+    return `<div role="gridcell"><div><span data-avatar-count="${logins.length}">${avatars}</span><span>${text}</span></div></div>`;
+  }
+
+  beforeEach(() => {
+    unloadContentScript();
+    mockChrome({ names: { jdoe: 'Jane Doe', alice: 'Alice Smith', bob: 'Bob Jones', carol: 'Carol White' } });
+  });
+
+  afterEach(unloadContentScript);
+
+  test('rewrites the text node in place and titles the element', async () => {
+    document.body.innerHTML = '<a data-hovercard-url="/users/jdoe/hovercard">Reviewed by @jdoe and jdoe again</a>';
+    const anchor = document.querySelector('a');
+    const textNode = anchor.firstChild;
+    loadContentScript();
+    await wait();
+
+    expect(anchor.firstChild).toBe(textNode);
+    expect(anchor.childNodes.length).toBe(1);
+    expect(textNode.nodeValue).toBe('Reviewed by @Jane Doe and Jane Doe again');
+    expect(anchor.getAttribute(LOGIN_ATTRIBUTE)).toBe('jdoe');
+    expect(anchor.title).toBe('@jdoe');
+  });
+
+  test('replaces every text node of the element, not just the first', async () => {
+    document.body.innerHTML = '<a data-hovercard-url="/users/jdoe/hovercard"><span>jdoe</span><span>@jdoe</span></a>';
+    loadContentScript();
+    await wait();
+
+    expect(document.querySelector('a').textContent).toBe('Jane Doe@Jane Doe');
+    expect(document.querySelectorAll(`[${LOGIN_ATTRIBUTE}]`).length).toBe(1);
+  });
+
+  test('keeps a title GitHub already set', async () => {
+    document.body.innerHTML = '<a data-hovercard-url="/users/jdoe/hovercard" title="Jane\'s profile">jdoe</a>';
+    loadContentScript();
+    await wait();
+
+    const anchor = document.querySelector('a');
+    expect(anchor.textContent).toBe('Jane Doe');
+    expect(anchor.title).toBe("Jane's profile");
+    expect(anchor.getAttribute(LOGIN_ATTRIBUTE)).toBe('jdoe');
+  });
+
+  test('does not touch a login that has no name', async () => {
+    document.body.innerHTML = '<a data-hovercard-url="/users/rroe/hovercard">rroe</a>';
+    loadContentScript();
+    await wait();
+
+    expect(document.body.innerHTML).toBe('<a data-hovercard-url="/users/rroe/hovercard">rroe</a>');
+  });
+
+  test('names every user of a grid cell listing them in one text node', async () => {
+    document.body.innerHTML = gridCell(['alice', 'bob'], 'alice and bob');
+    const names = document.querySelector('span[data-avatar-count] + span');
+    const textNode = names.firstChild;
+    loadContentScript();
+    await wait();
+
+    expect(names.firstChild).toBe(textNode);
+    expect(textNode.nodeValue).toBe('Alice Smith and Bob Jones');
+    expect(names.getAttribute(LOGIN_ATTRIBUTE)).toBe('alice bob');
+    expect(names.title).toBe('@alice, @bob');
+    expect(Array.from(document.querySelectorAll('img')).map((img) => img.alt)).toEqual(['@Alice Smith', '@Bob Jones']);
+  });
+
+  test('names three users of a grid cell and puts them all back on teardown', async () => {
+    document.body.innerHTML = gridCell(['alice', 'bob', 'carol'], 'alice, bob, and carol');
+    const names = document.querySelector('span[data-avatar-count] + span');
+    loadContentScript();
+    await wait();
+
+    expect(names.textContent).toBe('Alice Smith, Bob Jones, and Carol White');
+    expect(names.title).toBe('@alice, @bob, @carol');
+
+    window[INSTANCE_KEY].teardown(true);
+
+    expect(names.outerHTML).toBe('<span>alice, bob, and carol</span>');
+  });
+});
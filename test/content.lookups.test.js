@@ -0,0 +1,59 @@
+// test/content.lookups.test.js
+// Batched lookups from the real content.js: one resolveNames message per batch, and a failed
+// batch gives its leases back with the error.
+
+const { wait, mockChrome, loadContentScript, unloadContentScript } = require('./helpers/contentScript');
+
+describe('GitHub Usernames Extension - Batched Lookups', () => {
+  let background;
+  let resolveNamesResponse;
+
+  beforeEach(() => {
+    unloadContentScript();
+    background = mockChrome({ resolveNames: () => resolveNamesResponse() });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    document.body.innerHTML = `
+      <a data-hovercard-url="/users/jdoe/hovercard" href="/jdoe">jdoe</a>
+      <a data-hovercard-url="/users/rroe/hovercard" href="/rroe">rroe</a>`;
+  });
+
+  afterEach(() => {
+    unloadContentScript();
+    console.error.mockRestore();
+  });
+
+  test('asks for every login on the page in one message', async () => {
+    resolveNamesResponse = () => ({ names: { jdoe: 'Jane Doe', rroe: 'Richard Roe' } });
+    loadContentScript();
+    await wait();
+
+    expect(background.sent("resolveNames")).toEqual([
+      { type: "resolveNames", origin: location.hostname, usernames: ['jdoe', 'rroe'] },
+    ]);
+    expect(background.sent("releaseLock")).toEqual([]);
+    expect(document.body.textContent.trim().split(/\s+/)).toEqual(['Jane', 'Doe', 'Richard', 'Roe']);
+  });
+
+  test('releases the leases of a failed lookup with its error and shows the logins', async () => {
+    resolveNamesResponse = () => ({ names: {}, error: "Error: storage unavailable" });
+    loadContentScript();
+    await wait();
+
+    expect(background.sent("releaseLock")).toEqual([
+      { type: "releaseLock", origin: location.hostname, username: 'jdoe', error: "Error: storage unavailable" },
+      { type: "releaseLock", origin: location.hostname, username: 'rroe', error: "Error: storage unavailable" },
+    ]);
+    expect(document.querySelector('a[href="/jdoe"]').textContent).toBe('jdoe');
+  });
+
+  test('releases the leases when the background script cannot be reached', async () => {
+    resolveNamesResponse = () => { throw new Error("Could not establish connection."); };
+    loadContentScript();
+    await wait();
+
+    expect(background.sent("releaseLock").map((message) => [message.username, message.error])).toEqual([
+      ['jdoe', "Error: Could not establish connection."],
+      ['rroe', "Error: Could not establish connection."],
+    ]);
+  });
+});
@@ -0,0 +1,130 @@
+// test/content.mentions.test.js
+// Mention box: suggesting people by display name and turning "@Display Name" into "@login".
+
+const { wait, mockChrome, loadContentScript, unloadContentScript } = require('./helpers/contentScript');
+
+describe('GitHub Usernames Extension - Mention Box', () => {
+  function cached(displayName, outcome = 'resolved') {
+    return { displayName, timestamp: Date.now(), outcome };
+  }
+
+  // A comment form as GitHub renders it, with content.js running over the origin's `cache`.
+  async function render(cache) {
+    mockChrome({ cache });
+    document.body.innerHTML = `
+      <form><text-expander keys="@ # :"><textarea name="comment[body]"></textarea></text-expander></form>`;
+    loadContentScript();
+    await wait();
+  }
+
+  function suggest(text) {
+    const provide = jest.fn();
+    document.querySelector('text-expander').dispatchEvent(
+      new CustomEvent('text-expander-change', { detail: { key: '@', text, provide } }));
+    expect(provide).toHaveBeenCalledTimes(1);
+    return provide.mock.calls[0][0];
+  }
+
+  // Types `text` into the comment box and submits the form; returns what is sent.
+  function submit(text) {
+    const textarea = document.querySelector('textarea');
+    textarea.value = text;
+    document.querySelector('form').dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    return textarea.value;
+  }
+
+  beforeEach(unloadContentScript);
+  afterEach(unloadContentScript);
+
+  test('suggests cached people whose name contains the query, names starting with it first', async () => {
+    await render({
+      rroe: cached('Richard Janeway'),
+      jdoe: cached('Jane Doe'),
+      plain: cached('plain', 'no-name'),
+      ghost: cached('Janet Ghost', 'not-found'),
+    });
+
+    const { matched, fragment } = await suggest('jane');
+
+    expect(matched).toBe(true);
+    const items = Array.from(fragment.querySelectorAll('[role="option"]'));
+    expect(items.map(item => item.dataset.value)).toEqual(['jdoe', 'rroe']);
+    expect(items[0].textContent).toBe('jdoe Jane Doe');
+  });
+
+  test('leaves the query to GitHub when no cached name matches', async () => {
+    await render({ jdoe: cached('Jane Doe') });
+    expect(await suggest('zed')).toEqual({ matched: false });
+  });
+
+  test('converts mentions of known names to logins, longest name first', async () => {
+    await render({ jdoe: cached('Jane Doe'), jane: cached('Jane'), TBBle: cached('Paul "TBBle" Hampson') });
+    expect(submit('cc @Jane Doe, @jane and @Paul "TBBle" Hampson')).toBe('cc @jdoe, @jane and @TBBle');
+  });
+
+  test('leaves names shared by several logins, emails and longer words alone', async () => {
+    await render({ achen: cached('Alex Chen'), achen2: cached('Alex Chen'), jane: cached('Jane') });
+    expect(submit('@Alex Chen, jane@Jane.example, @Janet')).toBe('@Alex Chen, jane@Jane.example, @Janet');
+  });
+
+  test('leaves names that could be a login alone', async () => {
+    await render({ asmith: cached('Alex'), jdoe: cached('Jane Doe') });
+    expect(submit('cc @alex, @Alex and @Jane Doe')).toBe('cc @alex, @Alex and @jdoe');
+  });
+
+  test('matches names only as they are written', async () => {
+    await render({ jdoe: cached('Jane Doe') });
+    expect(submit('cc @jane doe and @JANE DOE')).toBe('cc @jane doe and @JANE DOE');
+  });
+
+  test('leaves code spans and fenced code blocks as typed', async () => {
+    await render({ jdoe: cached('Jane Doe') });
+    const text = [
+      'Ask @Jane Doe, not `@Jane Doe` or ``say `@Jane Doe` ``:',
+      '```',
+      'git log --author="@Jane Doe"',
+      '```',
+      '~~~ sh',
+      'echo @Jane Doe',
+      '~~~',
+      'Thanks @Jane Doe!',
+      '```',
+      '@Jane Doe in an unclosed fence',
+    ].join('\n');
+    expect(submit(text)).toBe(text.replace('Ask @Jane Doe', 'Ask @jdoe').replace('Thanks @Jane Doe', 'Thanks @jdoe'));
+  });
+
+  test('converts mentions when the comment is sent with Ctrl+Enter or Cmd+Enter', async () => {
+    await render({ jdoe: cached('Jane Doe') });
+    const textarea = document.querySelector('textarea');
+
+    textarea.value = 'cc @Jane Doe';
+    textarea.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    expect(textarea.value).toBe('cc @Jane Doe');
+
+    for (const modifier of ['ctrlKey', 'metaKey']) {
+      textarea.value = 'cc @Jane Doe';
+      textarea.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', [modifier]: true, bubbles: true }));
+      expect(textarea.value).toBe('cc @jdoe');
+    }
+  });
+
+  test('tells React the converted value changed', async () => {
+    await render({ jdoe: cached('Jane Doe') });
+    const textarea = document.querySelector('textarea');
+    // React tracks the value it last set through an own `value` property, and only reports an
+    // input event whose value differs from it.
+    const native = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value');
+    let tracked = textarea.value;
+    Object.defineProperty(textarea, 'value', {
+      configurable: true,
+      get() { return native.get.call(this); },
+      set(value) { tracked = value; native.set.call(this, value); },
+    });
+    const changes = [];
+    textarea.addEventListener('input', () => changes.push(native.get.call(textarea) !== tracked && textarea.value));
+
+    expect(submit('cc @Jane Doe')).toBe('cc @jdoe');
+    expect(changes).toEqual(['cc @jdoe']);
+  });
+});
@@ -0,0 +1,116 @@
+// test/content.originals.test.js
+// Switching the page back to what GitHub rendered before our replacements (the toggle command,
+// the toolbar menu and the hold-Alt peek), and back again.
+
+const { wait, mockChrome, loadContentScript, unloadContentScript } = require('./helpers/contentScript');
+
+describe('GitHub Usernames Extension - Original Usernames Toggle', () => {
+  const REPLACED_ALT_ATTRIBUTE = "data-ghu-replaced-alt";
+  let background;
+
+  function toggleOriginals() {
+    background.sendMessage({ type: "toggleOriginals" });
+  }
+
+  beforeEach(async () => {
+    unloadContentScript();
+    background = mockChrome({ names: { jdoe: 'Jane Doe', rroe: 'Richard Roe' } });
+    document.body.innerHTML = `
+      <ul><li><img data-testid="github-avatar" alt="@jdoe"><h3>jdoe</h3></li></ul>
+      <p><a data-hovercard-url="/users/jdoe/hovercard">Reviewed by @jdoe</a></p>`;
+    loadContentScript();
+    await wait();
+  });
+
+  afterEach(unloadContentScript);
+
+  test('switches names and avatar alt text back to what GitHub rendered, and back again', () => {
+    const img = document.querySelector('img');
+    const anchor = document.querySelector('a');
+    const anchorText = anchor.firstChild;
+    expect(anchor.textContent).toBe('Reviewed by @Jane Doe');
+
+    toggleOriginals();
+    expect(anchor.textContent).toBe('Reviewed by @jdoe');
+    expect(document.querySelector('h3').textContent).toBe('jdoe');
+    expect(img.alt).toBe('@jdoe');
+
+    toggleOriginals();
+    expect(anchor.textContent).toBe('Reviewed by @Jane Doe');
+    expect(document.querySelector('h3').textContent).toBe('Jane Doe');
+    expect(img.alt).toBe('@Jane Doe');
+    expect(anchor.firstChild).toBe(anchorText);
+    expect(document.querySelector(`[${REPLACED_ALT_ATTRIBUTE}]`)).toBeNull();
+  });
+
+  test('keeps names written while the originals are shown until they are hidden', async () => {
+    toggleOriginals();
+    document.body.insertAdjacentHTML('beforeend', '<a id="late" data-hovercard-url="/users/rroe/hovercard">rroe</a>');
+    await wait();
+    const late = document.getElementById('late');
+    expect(late.textContent).toBe('rroe');
+
+    toggleOriginals();
+    expect(late.textContent).toBe('Richard Roe');
+  });
+
+  test('leaves text the page has re-rendered since', async () => {
+    const anchor = document.querySelector('a');
+    toggleOriginals();
+    anchor.firstChild.nodeValue = 'Reviewed by @rroe';
+    await wait();
+
+    toggleOriginals();
+    await wait();
+    expect(anchor.textContent).toBe('Reviewed by @rroe');
+  });
+
+  test('catches up on renames deferred while the originals were shown', () => {
+    const anchor = document.querySelector('a');
+    toggleOriginals();
+    background.sendMessage({ type: "namesUpdated", origin: location.hostname, names: { jdoe: 'Jane Q. Doe' } });
+    expect(anchor.textContent).toBe('Reviewed by @jdoe');
+
+    toggleOriginals();
+    expect(anchor.textContent).toBe('Reviewed by @Jane Q. Doe');
+  });
+
+  test('shows the originals while Alt is held', () => {
+    const anchor = document.querySelector('a');
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Alt', altKey: true }));
+    expect(anchor.textContent).toBe('Reviewed by @jdoe');
+
+    document.dispatchEvent(new KeyboardEvent('keyup', { key: 'Alt' }));
+    expect(anchor.textContent).toBe('Reviewed by @Jane Doe');
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Alt', altKey: true }));
+    window.dispatchEvent(new Event('blur'));
+    expect(anchor.textContent).toBe('Reviewed by @Jane Doe');
+  });
+
+  test('does not peek while Alt types into an input, a textarea or editable content', () => {
+    const anchor = document.querySelector('a');
+    document.body.insertAdjacentHTML('beforeend', `
+      <input id="title"><textarea id="body"></textarea><div contenteditable="true"><p id="rich">x</p></div>`);
+
+    for (const id of ['title', 'body', 'rich']) {
+      document.getElementById(id).dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'Alt', altKey: true, bubbles: true }));
+      expect(anchor.textContent).toBe('Reviewed by @Jane Doe');
+    }
+  });
+
+  test('does not peek when Alt is pressed with another key', () => {
+    const anchor = document.querySelector('a');
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Alt', altKey: true, shiftKey: true }));
+    expect(anchor.textContent).toBe('Reviewed by @Jane Doe');
+
+    // Alt first, then the rest of a shortcut such as Alt+Shift+U
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Alt', altKey: true }));
+    expect(anchor.textContent).toBe('Reviewed by @jdoe');
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Shift', altKey: true, shiftKey: true }));
+    expect(anchor.textContent).toBe('Reviewed by @Jane Doe');
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Alt', altKey: true, repeat: true }));
+    expect(anchor.textContent).toBe('Reviewed by @Jane Doe');
+  });
+});
@@ -0,0 +1,106 @@
+// test/content.rerender.test.js
+// Processed elements that GitHub's React views re-render in place are processed again.
+
+const { wait, mockChrome, loadContentScript, unloadContentScript } = require('./helpers/contentScript');
+
+const flushMutations = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('GitHub Usernames Extension - Re-rendered Elements', () => {
+  const PROCESSED_MARKER = "data-ghu-processed";
+  const LOGIN_ATTRIBUTE = "data-ghu-login";
+  let background;
+
+  async function render(html) {
+    document.body.innerHTML = html;
+    loadContentScript();
+    await wait();
+  }
+
+  beforeEach(() => {
+    unloadContentScript();
+    background = mockChrome({ names: { jdoe: 'Jane Doe', rroe: 'Richard Roe' } });
+  });
+
+  afterEach(unloadContentScript);
+
+  test('renames an anchor again when React puts the login back in its text node', async () => {
+    await render('<li><a data-hovercard-url="/users/jdoe/hovercard" href="/jdoe">jdoe</a></li>');
+    const anchor = document.querySelector('a');
+    const textNode = anchor.firstChild;
+
+    textNode.nodeValue = 'jdoe';
+    await wait();
+
+    expect(anchor.firstChild).toBe(textNode);
+    expect(anchor.textContent).toBe('Jane Doe');
+  });
+
+  test('renames an anchor again when React replaces its text node', async () => {
+    await render('<li><a data-hovercard-url="/users/jdoe/hovercard" href="/jdoe">jdoe</a></li>');
+    const anchor = document.querySelector('a');
+
+    anchor.textContent = 'jdoe';
+    await wait();
+
+    expect(anchor.textContent).toBe('Jane Doe');
+    expect(anchor.getAttribute(LOGIN_ATTRIBUTE)).toBe('jdoe');
+  });
+
+  test('follows a project item React reused for another user', async () => {
+    await render('<ul><li><img data-testid="github-avatar" alt="@jdoe"><h3>jdoe</h3></li></ul>');
+    const img = document.querySelector('img');
+    const heading = document.querySelector('h3');
+    expect(heading.textContent).toBe('Jane Doe');
+
+    img.alt = '@rroe';
+    heading.firstChild.nodeValue = 'rroe';
+    await wait();
+
+    expect(heading.textContent).toBe('Richard Roe');
+    expect(img.alt).toBe('@Richard Roe');
+  });
+
+  test('leaves elements alone when only our own text changes', async () => {
+    await render('<div><a data-hovercard-url="/users/jdoe/hovercard" href="/jdoe">jdoe</a></div>');
+    const anchor = document.querySelector('a');
+
+    background.sendMessage({ type: "namesUpdated", origin: location.hostname, names: { jdoe: 'Jane Q. Doe' } });
+    await flushMutations();
+
+    expect(anchor.textContent).toBe('Jane Q. Doe');
+    expect(anchor.hasAttribute(PROCESSED_MARKER)).toBe(true);
+  });
+
+  test('restores and renames an anchor reused for another user', async () => {
+    await render('<div><a data-hovercard-url="/users/jdoe/hovercard" href="/jdoe">jdoe</a></div>');
+    const anchor = document.querySelector('a');
+    const textNode = anchor.firstChild;
+
+    anchor.setAttribute('data-hovercard-url', '/users/rroe/hovercard');
+    anchor.setAttribute('href', '/rroe');
+    await flushMutations();
+
+    expect(anchor.textContent).toBe('jdoe');
+    expect(anchor.hasAttribute(LOGIN_ATTRIBUTE)).toBe(false);
+    expect(anchor.hasAttribute('title')).toBe(false);
+
+    textNode.nodeValue = 'rroe';
+    await wait();
+
+    expect(anchor.firstChild).toBe(textNode);
+    expect(anchor.textContent).toBe('Richard Roe');
+    expect(anchor.getAttribute(LOGIN_ATTRIBUTE)).toBe('rroe');
+    expect(anchor.title).toBe('@rroe');
+  });
+
+  test('renames an avatar again when its alt is reset to the login', async () => {
+    await render('<ul><li><img data-testid="github-avatar" alt="@jdoe"><h3>jdoe</h3></li></ul>');
+    const img = document.querySelector('img');
+    expect(img.alt).toBe('@Jane Doe');
+
+    img.alt = '@jdoe';
+    await wait();
+
+    expect(img.alt).toBe('@Jane Doe');
+  });
+});
@@ -0,0 +1,62 @@
+// test/content.shortnames.test.js
+// Short-name modes per context (dense grids vs. prose) and their collision fallback.
+
+const { wait, mockChrome, loadContentScript, unloadContentScript } = require('./helpers/contentScript');
+
+describe('GitHub Usernames Extension - Short Names', () => {
+  // Project items show their assignee's name in a heading next to the avatar: a dense context.
+  function projectItems(logins) {
+    const items = logins.map((login) => `<li><img data-testid="github-avatar" alt="@${login}"><h3>${login}</h3></li>`);
+    return `<ul>${items.join('')}</ul>`;
+  }
+
+  async function render(html, names, shortNames) {
+    mockChrome({ names, settings: { shortNames } });
+    document.body.innerHTML = html;
+    loadContentScript();
+    await wait();
+  }
+
+  function headings() {
+    return Array.from(document.querySelectorAll('h3')).map((heading) => heading.textContent);
+  }
+
+  beforeEach(unloadContentScript);
+  afterEach(unloadContentScript);
+
+  test.each([
+    ['first', 'Jane'],
+    ['initials', 'JMD'],
+    ['first-last-initial', 'Jane D.'],
+    ['full', 'Jane Mary Doe'],
+  ])('shortens with the %s mode', async (mode, expected) => {
+    await render(projectItems(['jdoe']), { jdoe: 'Jane Mary Doe' }, { dense: mode });
+    expect(headings()).toEqual([expected]);
+  });
+
+  test('uses the mode of the context the name is shown in', async () => {
+    await render(`${projectItems(['jdoe'])}<a data-hovercard-url="/users/jdoe/hovercard">jdoe</a>`,
+      { jdoe: 'Jane Doe' }, { dense: 'first' });
+    expect(headings()).toEqual(['Jane']);
+    expect(document.querySelector('a').textContent).toBe('Jane Doe');
+  });
+
+  test('falls back to the full name when someone else on the page shares the short name', async () => {
+    await render(projectItems(['jdoe', 'jsmith', 'bob']),
+      { jdoe: 'Jane Doe', jsmith: 'Jane Smith', bob: 'Bob Roe' }, { dense: 'first' });
+    expect(headings()).toEqual(['Jane Doe', 'Jane Smith', 'Bob']);
+  });
+
+  test('picks the shortest form that is unique on the page', async () => {
+    await render(projectItems(['jdoe', 'jsmith', 'jdean', 'bob']),
+      { jdoe: 'Jane Doe', jsmith: 'Jane Smith', jdean: 'Jane Dean', bob: 'Bob Roe' }, { dense: 'shortest-unique' });
+    expect(headings()).toEqual(['Jane Doe', 'Jane S.', 'Jane Dean', 'Bob']);
+  });
+
+  test('lengthens a short name already in a grid cell before writing a colliding one next to it', async () => {
+    const avatars = '<img data-testid="github-avatar" alt="@jdoe"><img data-testid="github-avatar" alt="@jsmith">';
+    await render(`<div role="gridcell"><div><span data-avatar-count="2">${avatars}</span><span>jdoe, jsmith</span></div></div>`,
+      { jdoe: 'Jane Doe', jsmith: 'Jane Smith' }, { dense: 'shortest-unique' });
+    expect(document.querySelector('span[data-avatar-count] + span').textContent).toBe('Jane D., Jane S.');
+  });
+});
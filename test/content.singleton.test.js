@@ -0,0 +1,145 @@
+// test/content.singleton.test.js
+// One content.js instance per page: later injections hand over to it, and teardown stops it.
+
+const { INSTANCE_KEY, wait, mockChrome, loadContentScript, unloadContentScript } = require('./helpers/contentScript');
+
+describe('GitHub Usernames Extension - Content Script Instance', () => {
+  const PROCESSED_MARKER = "data-ghu-processed";
+  const LOGIN_ATTRIBUTE = "data-ghu-login";
+  const ORIGINAL_ALT_ATTRIBUTE = "data-ghu-original-alt";
+  let background;
+
+  function resolvedLogins() {
+    return background.sent("resolveNames").flatMap((message) => message.usernames);
+  }
+
+  beforeEach(() => {
+    unloadContentScript();
+    background = mockChrome({ names: { jdoe: 'Jane Doe', rroe: 'Richard Roe' } });
+    document.body.innerHTML = `
+      <ul><li><img data-testid="github-avatar" alt="@jdoe"><h3>jdoe</h3></li></ul>
+      <p>Assigned to <a data-hovercard-url="/users/jdoe/hovercard" href="/jdoe">jdoe</a></p>`;
+  });
+
+  afterEach(unloadContentScript);
+
+  test('starts once, answers pings and turns later injections into rescans', () => {
+    loadContentScript();
+    const rescan = jest.spyOn(window[INSTANCE_KEY], 'rescan');
+
+    loadContentScript();
+    loadContentScript();
+
+    expect(chrome.runtime.onMessage.addListener).toHaveBeenCalledTimes(1);
+    expect(rescan).toHaveBeenCalledTimes(2);
+    expect(background.sendMessage({ type: "ping" })).toHaveBeenCalledWith({ pong: true });
+  });
+
+  test('renames links in GitHub\'s own text node', async () => {
+    const anchor = document.querySelector('a');
+    const textNode = anchor.firstChild;
+    loadContentScript();
+    await wait();
+
+    expect(anchor.firstChild).toBe(textNode);
+    expect(textNode.nodeValue).toBe('Jane Doe');
+    expect(anchor.getAttribute(LOGIN_ATTRIBUTE)).toBe('jdoe');
+    expect(anchor.title).toBe('@jdoe');
+
+    // A React re-render writes the login back into the same node.
+    textNode.nodeValue = 'jdoe';
+    await wait();
+    expect(anchor.firstChild).toBe(textNode);
+    expect(textNode.nodeValue).toBe('Jane Doe');
+  });
+
+  test('ignores a teardown for another host', async () => {
+    loadContentScript();
+    await wait();
+
+    background.sendMessage({ type: "teardown", origin: "ghe.example.com", restore: true });
+
+    expect(window[INSTANCE_KEY]).toBeDefined();
+    expect(document.querySelector('a').textContent).toBe('Jane Doe');
+    expect(chrome.runtime.onMessage.removeListener).not.toHaveBeenCalled();
+  });
+
+  test('teardown stops observing and listening, and puts the page back', async () => {
+    const anchor = document.querySelector('a');
+    const textNode = anchor.firstChild;
+    loadContentScript();
+    await wait();
+    expect(anchor.textContent).toBe('Jane Doe');
+    expect(document.querySelector('img').alt).toBe('@Jane Doe');
+    expect(document.querySelector('h3').textContent).toBe('Jane Doe');
+
+    background.sendMessage({ type: "teardown", origin: location.hostname, restore: true });
+
+    expect(window[INSTANCE_KEY]).toBeUndefined();
+    expect(background.listeners).toEqual([]);
+    expect(anchor.firstChild).toBe(textNode);
+    expect(anchor.outerHTML).toBe('<a data-hovercard-url="/users/jdoe/hovercard" href="/jdoe">jdoe</a>');
+    expect(document.querySelector('h3').outerHTML).toBe('<h3>jdoe</h3>');
+    const img = document.querySelector('img');
+    expect(img.alt).toBe('@jdoe');
+    expect(img.hasAttribute(ORIGINAL_ALT_ATTRIBUTE)).toBe(false);
+    expect(document.querySelector(`[${PROCESSED_MARKER}]`)).toBeNull();
+
+    // Nothing is observed any more...
+    document.body.insertAdjacentHTML('beforeend', '<a data-hovercard-url="/users/rroe/hovercard" href="/rroe">rroe</a>');
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Alt' }));
+    await wait();
+    expect(resolvedLogins()).not.toContain('rroe');
+    expect(document.querySelector('a[href="/rroe"]').textContent).toBe('rroe');
+
+    // ...until the script is injected again.
+    loadContentScript();
+    await wait();
+    expect(anchor.textContent).toBe('Jane Doe');
+    expect(document.querySelector('a[href="/rroe"]').textContent).toBe('Richard Roe');
+  });
+
+  test('teardown removes the hovercard rows and suggestion names it added', async () => {
+    const hydroView = JSON.stringify({ event_type: "user-hovercard-hover", payload: { card_user_login: 'jdoe' } });
+    document.body.insertAdjacentHTML('beforeend', `
+      <div id="hovercard" data-hydro-view='${hydroView}'><div class="px-3 pb-3"><a href="/jdoe">jdoe</a></div></div>`);
+    loadContentScript();
+    await wait();
+    // GitHub's own suggestion list, opened after the name is known
+    document.body.insertAdjacentHTML('beforeend', `
+      <text-expander keys="@"><ul role="listbox"><li role="option" data-value="jdoe"><span>jdoe</span></li></ul></text-expander>`);
+    await wait();
+    const hovercard = document.getElementById('hovercard');
+    const row = hovercard.querySelector('img[alt="Extension icon"]').closest('div.d-flex');
+    expect(row.textContent).toBe('Jane Doe');
+    const option = document.querySelector('[role="option"]');
+    expect(option.textContent).toBe('jdoeJane Doe');
+
+    background.sendMessage({ type: "teardown", origin: location.hostname, restore: true });
+
+    expect(hovercard.innerHTML.trim()).toBe('<div class="px-3 pb-3"><a href="/jdoe">jdoe</a></div>');
+    expect(hovercard.hasAttribute('data-ghu-hovercard-processed')).toBe(false);
+    expect(option.outerHTML).toBe('<li role="option" data-value="jdoe"><span>jdoe</span></li>');
+
+    // A later injection adds them again.
+    loadContentScript();
+    await wait();
+    expect(hovercard.textContent).toContain('Jane Doe');
+  });
+
+  test('a teardown that keeps the page stops the hovercard row from opening the options', async () => {
+    const hydroView = JSON.stringify({ event_type: "user-hovercard-hover", payload: { card_user_login: 'jdoe' } });
+    document.body.insertAdjacentHTML('beforeend', `<div data-hydro-view='${hydroView}'></div>`);
+    loadContentScript();
+    await wait();
+    const row = document.querySelector('img[alt="Extension icon"]').closest('div.d-flex');
+    row.click();
+    expect(background.sent("openOptionsPage")).toEqual([{ type: "openOptionsPage", url: "options.html#jdoe" }]);
+
+    window[INSTANCE_KEY].teardown(false);
+    row.click();
+
+    expect(row.isConnected).toBe(true);
+    expect(background.sent("openOptionsPage").length).toBe(1);
+  });
+});
@@ -0,0 +1,80 @@
+// test/helpers/contentScript.js
+// Runs the real content.js in a test's jsdom page. `mockChrome` stands in for background.js and
+// storage; every `loadContentScript` is one injection, as background.js does it.
+
+const INSTANCE_KEY = "__githubUnveiler";
+const CACHE_KEY = "githubDisplayNameCache";
+const SETTINGS_KEY = "githubUnveilerSettings";
+// content.js's mutation debounce (200 ms) and lookup batch window (50 ms), with room to spare
+const PROCESSING_DELAY = 400;
+
+const wait = (ms = PROCESSING_DELAY) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Installs `global.chrome` for content.js.
+ * @param {Object} [options]
+ * @param {Object} [options.names] login => display name, answered to resolveNames (others get their login).
+ * @param {Object} [options.cache] This origin's githubDisplayNameCache entries.
+ * @param {Object} [options.settings] githubUnveilerSettings.
+ * @param {Function} [options.resolveNames] Answers a resolveNames message instead of `names`.
+ * @returns {Object} Helpers to message the script and read what it sent.
+ */
+function mockChrome({ names = {}, cache = {}, settings = {}, resolveNames } = {}) {
+  let listeners = [];
+  const answer = resolveNames || ((message) => ({
+    names: Object.fromEntries(message.usernames.map((username) => [username, names[username] || username])),
+  }));
+  global.chrome = {
+    runtime: {
+      onMessage: {
+        addListener: jest.fn((listener) => listeners.push(listener)),
+        removeListener: jest.fn((listener) => {
+          listeners = listeners.filter((other) => other !== listener);
+        }),
+      },
+      sendMessage: jest.fn((message, callback) => {
+        const response = message.type === "resolveNames" ? answer(message) : {};
+        if (callback) return callback(response);
+        return Promise.resolve(response);
+      }),
+      getURL: (path) => path,
+      lastError: null,
+    },
+    storage: {
+      local: {
+        get: jest.fn((keys, callback) => callback({
+          [CACHE_KEY]: { [location.hostname]: cache },
+          [SETTINGS_KEY]: settings,
+        })),
+      },
+    },
+  };
+  return {
+    get listeners() {
+      return listeners;
+    },
+    // Delivers a message as background.js would; returns the sendResponse mock.
+    sendMessage(message) {
+      const sendResponse = jest.fn();
+      listeners.forEach((listener) => listener(message, {}, sendResponse));
+      return sendResponse;
+    },
+    // The messages content.js sent of one type.
+    sent(type) {
+      return chrome.runtime.sendMessage.mock.calls.map(([message]) => message).filter((message) => message.type === type);
+    },
+  };
+}
+
+function loadContentScript() {
+  jest.resetModules();
+  require("../../content.js");
+}
+
+// Stops the running instance without touching the page, so the next test starts afresh.
+function unloadContentScript() {
+  if (window[INSTANCE_KEY]) window[INSTANCE_KEY].teardown(false);
+  delete window[INSTANCE_KEY];
+}
+
+module.exports = { INSTANCE_KEY, PROCESSING_DELAY, wait, mockChrome, loadContentScript, unloadContentScript };
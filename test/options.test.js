@@ -11,6 +11,59 @@ function setOptionsHTML() {
       <h2>Enabled GitHub Domains</h2>
       <ul id="enabledDomainsList"></ul>
     </section>
+    <section>
+      <h2>Lookup Settings</h2>
+      <input type="number" id="maxConcurrentRequests">
+      <input type="checkbox" id="passiveHarvest">
+    </section>
+    <section>
+      <h2>Name Format</h2>
+      <form id="nameFormatForm">
+        <input type="text" id="nameFormatOrigin">
+        <input type="text" id="nameFormatTemplate">
+        <button type="submit">Save Format</button>
+      </form>
+      <table id="nameFormatsTable"><tbody id="nameFormatsBody"></tbody></table>
+      <select id="shortNameDense" class="short-name-mode" data-context="dense">
+        <option value="full">Full name</option>
+        <option value="first">First name</option>
+        <option value="shortest-unique">Shortest unique on the page</option>
+      </select>
+      <select id="copyFormat">
+        <option value="login">@login</option>
+        <option value="name-login">Name (@login)</option>
+        <option value="name">The name as shown</option>
+      </select>
+      <select id="shortNameProse" class="short-name-mode" data-context="prose">
+        <option value="full">Full name</option>
+        <option value="first">First name</option>
+        <option value="shortest-unique">Shortest unique on the page</option>
+      </select>
+    </section>
+    <section>
+      <h2>Sign-in Status</h2>
+      <ul id="authStatusList"></ul>
+    </section>
+    <section>
+      <h2>API Tokens</h2>
+      <form id="apiTokenForm">
+        <input type="text" id="apiTokenOrigin">
+        <input type="password" id="apiTokenValue">
+        <button type="submit">Save Token</button>
+      </form>
+      <table id="apiTokensTable"><tbody id="apiTokensBody"></tbody></table>
+    </section>
+    <section>
+      <h2>Import Organization Members</h2>
+      <form id="orgImportForm">
+        <input type="text" id="orgImportOrigin">
+        <input type="text" id="orgImportName">
+        <button type="submit">Import Members</button>
+        <button type="button" id="orgImportCancel" disabled>Cancel</button>
+      </form>
+      <progress id="orgImportProgress" hidden></progress>
+      <p id="orgImportStatus"></p>
+    </section>
     <section>
       <h2>Name Replacements</h2>
       <table id="nameReplacementsTable">
@@ -21,6 +74,7 @@ function setOptionsHTML() {
             <th>Display Name</th>
             <th>Do Not Expire</th>
             <th>Expiration Date</th>
+            <th>Status</th>
           </tr>
         </thead>
         <tbody id="nameReplacementsBody"></tbody>
@@ -32,6 +86,9 @@ function setOptionsHTML() {
 
 describe('options.js', () => {
   let fakeStorageCache;
+  let fakeStorageTokens;
+  let fakeStorageSettings;
+  let fakeStorageAuthState;
   let initialTimestamp;
   let optionsScriptMainFunction;
 
@@ -41,6 +98,9 @@ describe('options.js', () => {
 
     setOptionsHTML(); // This now includes the logo
     fakeStorageCache = {};
+    fakeStorageTokens = {};
+    fakeStorageSettings = {};
+    fakeStorageAuthState = {};
 
     global.chrome = {
       permissions: {
@@ -53,7 +113,12 @@ describe('options.js', () => {
         local: {
           get: jest.fn((keys, callback) => {
             const error = global.chrome.runtime.lastError;
-            const resultData = error ? null : { githubDisplayNameCache: JSON.parse(JSON.stringify(fakeStorageCache || {})) };
+            const resultData = error ? null : {
+              githubDisplayNameCache: JSON.parse(JSON.stringify(fakeStorageCache || {})),
+              githubApiTokens: JSON.parse(JSON.stringify(fakeStorageTokens || {})),
+              githubUnveilerSettings: JSON.parse(JSON.stringify(fakeStorageSettings || {})),
+              githubAuthState: JSON.parse(JSON.stringify(fakeStorageAuthState || {})),
+            };
             callback(resultData);
           }),
           set: jest.fn((obj, callback) => {
@@ -64,11 +129,17 @@ describe('options.js', () => {
             if (obj.githubDisplayNameCache) {
               fakeStorageCache = JSON.parse(JSON.stringify(obj.githubDisplayNameCache));
             }
+            if (obj.githubApiTokens) {
+              fakeStorageTokens = JSON.parse(JSON.stringify(obj.githubApiTokens));
+            }
+            if (obj.githubUnveilerSettings) {
+              fakeStorageSettings = JSON.parse(JSON.stringify(obj.githubUnveilerSettings));
+            }
             if (callback) callback();
           }),
         },
       },
-      runtime: { lastError: null }
+      runtime: { lastError: null, sendMessage: jest.fn() }
     };
 
     global.alert = jest.fn();
@@ -156,10 +227,65 @@ describe('options.js', () => {
         } else {
             expect(expirationDateCell.textContent).toBe(new Date(expectedEntry.data.timestamp + SEVEN_DAYS).toLocaleString());
         }
-        expect(row.cells[5]).toBeUndefined(); // No Actions cell
+        expect(row.cells[5].textContent).toBe('Resolved');
+        expect(row.cells[6]).toBeUndefined(); // No Actions cell
       });
     });
 
+    test('should show the outcome of failed lookups and expire them on their own TTL', async () => {
+      const ts = Date.now();
+      fakeStorageCache = {
+        'github.com': {
+          'ghost': { displayName: 'ghost', timestamp: ts, noExpire: false, outcome: 'not-found', error: 'HTTP error 404 from https://api.github.com/users/ghost' },
+          'plain': { displayName: 'plain', timestamp: ts, noExpire: false, outcome: 'no-name' },
+          'scraped': { displayName: 'Scraped', timestamp: ts, noExpire: false, outcome: 'resolved', extractor: 'itemprop-name' },
+        },
+      };
+
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      const body = document.getElementById('nameReplacementsBody');
+      const ghostRow = body.querySelector('tr#ghost');
+      expect(ghostRow.cells[4].textContent).toBe(new Date(ts + 24 * 60 * 60 * 1000).toLocaleString());
+      expect(ghostRow.cells[5].textContent).toBe('User not found');
+      expect(ghostRow.cells[5].title).toBe('HTTP error 404 from https://api.github.com/users/ghost');
+      expect(body.querySelector('tr#plain').cells[5].textContent).toBe('No name set on profile');
+      expect(body.querySelector('tr#scraped').cells[5].textContent).toBe('Resolved (itemprop-name)');
+    });
+
+    test('should flag logins that share a name and save a chosen disambiguator', async () => {
+      const ts = Date.now();
+      fakeStorageCache = {
+        'github.com': {
+          'achen': { displayName: 'Alex Chen', timestamp: ts, outcome: 'resolved' },
+          'achen2': { displayName: 'alex chen', timestamp: ts, outcome: 'resolved', disambiguator: 'Design' },
+          'ghost': { displayName: 'Alex Chen', timestamp: ts, outcome: 'not-found' },
+        },
+        'ghe.example.com': {
+          'achen': { displayName: 'Alex Chen', timestamp: ts, outcome: 'resolved' },
+        },
+      };
+
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      const rows = Array.from(document.querySelectorAll('#nameReplacementsBody tr'));
+      const flagged = rows.filter(row => row.classList.contains('name-collision'));
+      expect(flagged.map(row => `${row.dataset.origin}/${row.dataset.username}`)).toEqual(['github.com/achen', 'github.com/achen2']);
+      const note = flagged[0].querySelector('.collision-note');
+      expect(note.textContent).toBe('Same name as @achen2; shown with ');
+      expect(flagged[1].querySelector('input.disambiguator').value).toBe('Design');
+
+      const input = note.querySelector('input.disambiguator');
+      expect(input.placeholder).toBe('achen');
+      input.value = ' Platform ';
+      input.dispatchEvent(new Event('change'));
+      await flushPromises();
+
+      expect(fakeStorageCache['github.com'].achen.disambiguator).toBe('Platform');
+    });
+
     // ... other loading tests ...
 
     test('loadNameReplacements should set id attribute on table rows', async () => {
@@ -231,4 +357,276 @@ describe('options.js', () => {
       expect(expirationDateCell.textContent).toBe('Never');
     });
   });
+
+  describe('API Tokens', () => {
+    test('should list saved tokens masked to their last four characters', async () => {
+      fakeStorageTokens = { 'github.example.com': 'ghp_secret1234' };
+
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      const rows = document.querySelectorAll('#apiTokensBody tr');
+      expect(rows.length).toBe(1);
+      expect(rows[0].cells[0].textContent).toBe('github.example.com');
+      expect(rows[0].cells[1].textContent).toBe('••••1234');
+      expect(rows[0].textContent).not.toContain('ghp_secret');
+    });
+
+    test('should save a token keyed by the normalized hostname', async () => {
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      document.getElementById('apiTokenOrigin').value = 'https://GitHub.Example.com/some/path';
+      document.getElementById('apiTokenValue').value = ' token-abcd ';
+      document.getElementById('apiTokenForm').dispatchEvent(new Event('submit', { cancelable: true }));
+      await flushPromises();
+
+      expect(fakeStorageTokens).toEqual({ 'github.example.com': 'token-abcd' });
+      expect(document.getElementById('apiTokenValue').value).toBe('');
+    });
+
+    test('should remove a token when its Remove button is clicked', async () => {
+      fakeStorageTokens = { 'github.com': 'tok1', 'github.example.com': 'tok2' };
+
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      const row = document.querySelector('#apiTokensBody tr[data-origin="github.com"]');
+      row.querySelector('button').click();
+      await flushPromises();
+
+      expect(fakeStorageTokens).toEqual({ 'github.example.com': 'tok2' });
+    });
+  });
+
+  describe('Name Format', () => {
+    function submitFormat(origin, template) {
+      document.getElementById('nameFormatOrigin').value = origin;
+      document.getElementById('nameFormatTemplate').value = template;
+      document.getElementById('nameFormatForm').dispatchEvent(new Event('submit', { cancelable: true }));
+    }
+
+    test('should save a format for the normalized origin and keep other settings', async () => {
+      fakeStorageSettings = { passiveHarvest: false, nameFormats: { 'github.com': '{first} {lastInitial}.' } };
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      submitFormat('https://GHE.example.com/', '{name} (@{login})');
+      await flushPromises();
+
+      expect(fakeStorageSettings).toEqual({
+        passiveHarvest: false,
+        nameFormats: { 'github.com': '{first} {lastInitial}.', 'ghe.example.com': '{name} (@{login})' },
+      });
+      const rows = document.querySelectorAll('#nameFormatsBody tr');
+      expect(Array.from(rows).map(row => row.dataset.origin)).toEqual(['ghe.example.com', 'github.com']);
+    });
+
+    test('should reject formats with unknown or no placeholders', async () => {
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      submitFormat('github.com', '{nickname}');
+      submitFormat('github.com', 'Someone');
+      await flushPromises();
+
+      expect(global.alert).toHaveBeenCalledTimes(2);
+      expect(global.alert.mock.calls[0][0]).toContain('unknown: {nickname}');
+      expect(fakeStorageSettings).toEqual({});
+    });
+
+    test('should remove a format when its Remove button is clicked', async () => {
+      fakeStorageSettings = { nameFormats: { 'github.com': '{login} · {name}' } };
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      document.querySelector('#nameFormatsBody tr[data-origin="github.com"] button').click();
+      await flushPromises();
+
+      expect(fakeStorageSettings).toEqual({ nameFormats: {} });
+      expect(document.getElementById('nameFormatsBody').textContent).toContain('No name formats saved');
+    });
+  });
+
+  describe('Short Names', () => {
+    test('should show full names by default and save both contexts together', async () => {
+      fakeStorageSettings = { passiveHarvest: false };
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      const dense = document.getElementById('shortNameDense');
+      expect(dense.value).toBe('full');
+      expect(document.getElementById('shortNameProse').value).toBe('full');
+      dense.value = 'shortest-unique';
+      dense.dispatchEvent(new Event('change'));
+      await flushPromises();
+
+      expect(fakeStorageSettings).toEqual({ passiveHarvest: false, shortNames: { dense: 'shortest-unique', prose: 'full' } });
+    });
+
+    test('should show the saved mode of each context', async () => {
+      fakeStorageSettings = { shortNames: { dense: 'first', prose: 'shortest-unique' } };
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      expect(document.getElementById('shortNameDense').value).toBe('first');
+      expect(document.getElementById('shortNameProse').value).toBe('shortest-unique');
+    });
+  });
+
+  describe('Copy Format', () => {
+    test('should copy @login by default and save another choice', async () => {
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      const select = document.getElementById('copyFormat');
+      expect(select.value).toBe('login');
+      select.value = 'name-login';
+      select.dispatchEvent(new Event('change'));
+      await flushPromises();
+
+      expect(fakeStorageSettings).toEqual({ copyFormat: 'name-login' });
+    });
+  });
+
+  describe('Sign-in Status', () => {
+    test('should say so when no origin needs sign-in', async () => {
+      optionsScriptMainFunction();
+      await flushPromises();
+      expect(document.getElementById('authStatusList').textContent).toBe('No sign-in problems detected.');
+    });
+
+    test('should list paused origins with a sign-in link and retry through the background', async () => {
+      fakeStorageAuthState = { 'ghe.example.com': { reason: 'redirected to /login', since: Date.now(), probeLogin: 'user1' } };
+      global.chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        fakeStorageAuthState = {};
+        callback({ authRequired: false });
+      });
+
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      const item = document.querySelector('#authStatusList li[data-origin="ghe.example.com"]');
+      expect(item.textContent).toContain('sign-in required (redirected to /login)');
+      expect(item.querySelector('a').href).toBe('https://ghe.example.com/login');
+
+      item.querySelector('button').click();
+      await flushPromises();
+
+      expect(global.chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'retryAuth', origin: 'ghe.example.com' }, expect.any(Function));
+      expect(global.alert).not.toHaveBeenCalled();
+      expect(document.getElementById('authStatusList').textContent).toBe('No sign-in problems detected.');
+    });
+  });
+
+  describe('Import Organization Members', () => {
+    function submitImport(origin, org) {
+      document.getElementById('orgImportOrigin').value = origin;
+      document.getElementById('orgImportName').value = org;
+      document.getElementById('orgImportForm').dispatchEvent(new Event('submit', { cancelable: true }));
+    }
+
+    test('should import page after page until the last one', async () => {
+      global.chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        callback({ imported: 100, nextPage: message.page < 3 ? message.page + 1 : null });
+      });
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      submitImport('https://GHE.example.com/', 'acme');
+      await flushPromises();
+
+      expect(global.chrome.runtime.sendMessage.mock.calls.map(([message]) => message)).toEqual([
+        { type: 'importOrgMembers', origin: 'ghe.example.com', org: 'acme', page: 1 },
+        { type: 'importOrgMembers', origin: 'ghe.example.com', org: 'acme', page: 2 },
+        { type: 'importOrgMembers', origin: 'ghe.example.com', org: 'acme', page: 3 },
+      ]);
+      expect(document.getElementById('orgImportStatus').textContent).toBe('Imported 300 members of acme.');
+      expect(document.getElementById('orgImportProgress').hidden).toBe(true);
+    });
+
+    test('should stop between pages when cancelled', async () => {
+      let respond;
+      global.chrome.runtime.sendMessage.mockImplementation((message, callback) => { respond = callback; });
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      submitImport('ghe.example.com', 'acme');
+      expect(document.getElementById('orgImportCancel').disabled).toBe(false);
+      expect(document.getElementById('orgImportProgress').hidden).toBe(false);
+      document.getElementById('orgImportCancel').click();
+      respond({ imported: 100, nextPage: 2 });
+
+      expect(global.chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+      expect(document.getElementById('orgImportStatus').textContent).toBe('Import cancelled after 100 members.');
+    });
+  });
+
+  describe('Enabled Domains', () => {
+    test('should revoke a domain\'s permission from its Disable button and reload the list', async () => {
+      let origins = ['https://ghe.example.com/*'];
+      chrome.permissions.getAll = jest.fn((callback) => callback({ origins }));
+      chrome.permissions.remove = jest.fn((request, callback) => {
+        origins = origins.filter(origin => !request.origins.includes(origin));
+        callback(true);
+      });
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      const item = document.querySelector('#enabledDomainsList li');
+      expect(item.firstChild.textContent).toBe('https://ghe.example.com/*');
+      item.querySelector('button').click();
+      await flushPromises();
+
+      expect(chrome.permissions.remove).toHaveBeenCalledWith({ origins: ['https://ghe.example.com/*'] }, expect.any(Function));
+      expect(document.querySelector('#enabledDomainsList li button')).toBeNull();
+    });
+  });
+
+  describe('Lookup Settings', () => {
+    test('should show the default concurrency cap when none is saved', async () => {
+      optionsScriptMainFunction();
+      await flushPromises();
+      expect(document.getElementById('maxConcurrentRequests').value).toBe('4');
+    });
+
+    test('should save a valid concurrency cap and keep other settings', async () => {
+      fakeStorageSettings = { otherSetting: true };
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      const input = document.getElementById('maxConcurrentRequests');
+      input.value = '2';
+      input.dispatchEvent(new Event('change'));
+      await flushPromises();
+
+      expect(fakeStorageSettings).toEqual({ otherSetting: true, maxConcurrentRequests: 2 });
+    });
+
+    test('should show passive learning as on by default and save turning it off', async () => {
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      const checkbox = document.getElementById('passiveHarvest');
+      expect(checkbox.checked).toBe(true);
+      checkbox.checked = false;
+      checkbox.dispatchEvent(new Event('change'));
+      await flushPromises();
+
+      expect(fakeStorageSettings).toEqual({ passiveHarvest: false });
+    });
+
+    test('should reject an out-of-range concurrency cap', async () => {
+      optionsScriptMainFunction();
+      await flushPromises();
+
+      const input = document.getElementById('maxConcurrentRequests');
+      input.value = '0';
+      input.dispatchEvent(new Event('change'));
+      await flushPromises();
+
+      expect(global.alert).toHaveBeenCalledWith('Maximum parallel requests must be between 1 and 16.');
+      expect(fakeStorageSettings).toEqual({});
+    });
+  });
 });